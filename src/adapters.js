@@ -0,0 +1,441 @@
+/**
+ * AI Chat TOC - Site Adapters
+ * Declarative descriptions of each supported chat site, plus validation
+ * for user-defined custom adapters. Shared by the content script, the
+ * background script and the popup.
+ *
+ * Adapter schema (only id, name, match and user are required):
+ *
+ *   id          Unique lowercase key ("chatgpt"). Also the default platformKey.
+ *   name        Display name.
+ *   platformKey Theme key from DEFAULT_THEMES (defaults to id).
+ *   match       { hosts: ["chatgpt.com"] } - matches the host and its subdomains, on any port.
+ *   user        One rule or a list of rules, tried in order until one finds turns:
+ *                 selector            User prompt elements (or turn wrappers, see textSelector).
+ *                 textSelector        Child that holds the prompt text; wrappers without it are
+ *                                     kept only when they contain an attachment.
+ *                 targetSelector      Scroll target when textSelector finds nothing.
+ *                 lineSelector        Child lines joined with spaces to form the prompt.
+ *                 joinAdjacent        Merge consecutive siblings matching this selector.
+ *                 normalizeWhitespace Collapse runs of whitespace.
+ *                 turn / answer       Per-rule overrides of the top-level rules below.
+ *   turn        { selector, depth } - container whose following siblings hold the answer.
+ *               Uses closest(selector), else walks `depth` parents up (default 1).
+ *   answer      selector      Answer element inside (or equal to) a following sibling.
+ *               stopSelector  Stop scanning at a sibling matching or containing this.
+ *               maxSiblings   Number of siblings to scan (default: all).
+ *               useSibling    Use the sibling itself when selector matches nothing in it.
+ *               lookahead     Document-wide answer selector used as a positional fallback.
+ *               strip         Platform chrome inside the answer ("Thinking" toggles, toolbars) left
+ *                             out of the Markdown answer; buttons and icons are always dropped.
+ *   conversation { idPattern } - regular expression (string) matched against the URL path; its
+ *               first group, else the whole match, is the conversation id used by the archive.
+ *               Without it the path itself is the id. Pages where nothing matches (a new chat
+ *               before its first answer) aren't archived.
+ *   messageId   { attribute } - platform message id on the user element, an ancestor or a
+ *               descendant. Gives turns a stable key; otherwise a hash of the prompt is used.
+ *   dedupe      { by: "none" | "lowercase" | "prefix", length, ignorePrefixes }
+ *   attachment  selector      File tiles inside a user element. Uploaded images outside any tile
+ *                             are picked up without it.
+ *               nameSelector  File name inside a tile (default: its title, aria-label, the text
+ *                             that looks like a file name, else its first line of text).
+ *               sizeSelector  File size inside a tile (default: text such as "1.2 MB").
+ *               label         Prompt text of attachment-only prompts whose files have no name.
+ *   versions    selector      Version switcher counters ("2 / 3") of edited prompts and
+ *                             regenerated answers.
+ *               promptScope   Ancestor of the user element holding the prompt's switcher
+ *                             (default: the turn container).
+ *               answerScope   Ancestor of the answer element holding the answer's switcher
+ *                             (default: the answer's parent).
+ *   status      streaming     Marker of an answer still being generated: on the answer element,
+ *                             an ancestor or a descendant.
+ *               stopButton    "Stop generating" button; while it is on the page the last turn is
+ *                             streaming, or pending before its answer appears. Clicks on it mark
+ *                             the turn as stopped.
+ *               error         Marker of a failed generation in or around the answer.
+ *               stopped       Marker of a stopped generation, for sites that show one.
+ *   controls    { sendButton, promptInput, chatContainer } - chatContainer scopes the
+ *               conversation monitor; without it the container is derived from the turns.
+ *   minQueries  Minimum number of turns before the TOC is shown.
+ *   delays      { pageLoad, mutation, chatChange, stateCheck, streaming } in ms. `mutation`
+ *               throttles DOM change handling, `stateCheck` is the polling interval used while no
+ *               chat container can be found, `streaming` the re-check interval while an answer
+ *               is in flight (the stop button lives outside the observed container).
+ */
+
+const CUSTOM_ADAPTERS_KEY = "customAdapters";
+
+const ADAPTER_DEFAULT_DELAYS = {
+    pageLoad: 2000,
+    mutation: 300,
+    chatChange: 1500,
+    stateCheck: 5000,
+    streaming: 1000,
+};
+
+const BUILTIN_ADAPTERS = [
+    // =========================================================================
+    // ChatGPT
+    // =========================================================================
+    {
+        id: "chatgpt",
+        name: "ChatGPT",
+        match: { hosts: ["chatgpt.com"] },
+        conversation: { idPattern: "/c/([\\w-]+)" },
+        user: { selector: 'div[data-message-author-role="user"]' },
+        messageId: { attribute: "data-message-id" },
+        turn: { selector: '[data-testid^="conversation-turn"], article' },
+        versions: {
+            selector: ".tabular-nums",
+            promptScope: '[data-testid^="conversation-turn"], article',
+            answerScope: '[data-testid^="conversation-turn"], article',
+        },
+        status: {
+            streaming: ".result-streaming",
+            stopButton: '[data-testid="stop-button"]',
+            error: ".text-token-text-error",
+        },
+        answer: {
+            selector: '[data-message-author-role="assistant"]',
+            stopSelector: '[data-message-author-role="user"]',
+        },
+        dedupe: { by: "none" },
+        controls: {
+            sendButton: '[data-testid="send-button"]',
+            promptInput: "#prompt-textarea",
+        },
+        delays: { pageLoad: 2000, mutation: 300, chatChange: 1500, stateCheck: 5000 },
+    },
+
+    // =========================================================================
+    // Gemini
+    // =========================================================================
+    {
+        id: "gemini",
+        name: "Gemini",
+        match: { hosts: ["gemini.google.com"] },
+        conversation: { idPattern: "/app/(\\w+)" },
+        user: [
+            {
+                selector: ".user-message, .query, user-query",
+                lineSelector: ".query-text-line",
+                normalizeWhitespace: true,
+            },
+            {
+                // Older layout: only the individual prompt lines are present
+                selector: ".query-text-line, .user-message, .query, user-query",
+                joinAdjacent: ".query-text-line",
+                normalizeWhitespace: true,
+                answer: { lookahead: '.model-response-text, .model-response, [class*="response"]' },
+            },
+        ],
+        turn: { selector: '.conversation-turn, [class*="turn"]' },
+        answer: {
+            selector: '.model-response-text, .model-response, [class*="response"]',
+            stopSelector: ".user-message, .query",
+            lookahead: '.model-response-text, .model-response, [class*="response"]',
+            strip: "model-thoughts, .response-footer",
+        },
+        dedupe: { by: "lowercase", ignorePrefixes: ["hello,"] },
+        status: { stopButton: 'button[aria-label="Stop response"]' },
+        controls: {
+            sendButton: '[data-testid="submit-button"], button[type="submit"]',
+            promptInput: "textarea, #ask-input",
+            chatContainer: "main, [role='main']",
+        },
+        delays: { pageLoad: 1500, mutation: 300, chatChange: 1500, stateCheck: 5000 },
+    },
+
+    // =========================================================================
+    // Perplexity
+    // =========================================================================
+    {
+        id: "perplexity",
+        name: "Perplexity",
+        match: { hosts: ["perplexity.ai"] },
+        conversation: { idPattern: "/search/([\\w.-]+)" },
+        user: [
+            { selector: "h1.group\\/query, div.group\\/query, .flex.flex-col.gap-1.pb-2" },
+            {
+                selector: '[class*="pb-2"] .font-sans.text-textMain',
+                answer: { lookahead: '.prose, [class*="prose"]' },
+            },
+        ],
+        turn: { selector: '[class*="group/query"]' },
+        answer: {
+            selector: '.prose, [class*="prose"]',
+            maxSiblings: 1,
+            useSibling: true,
+            lookahead: '.prose, [class*="prose"]',
+        },
+        dedupe: { by: "none" },
+        controls: {
+            sendButton: '[data-testid="submit-button"]',
+            promptInput: "#ask-input",
+        },
+        minQueries: 2,
+        delays: { pageLoad: 2000, mutation: 200, chatChange: 1500, stateCheck: 5000 },
+    },
+
+    // =========================================================================
+    // Claude
+    // =========================================================================
+    {
+        id: "claude",
+        name: "Claude",
+        match: { hosts: ["claude.ai"] },
+        conversation: { idPattern: "/chat/([\\w-]+)" },
+        user: [
+            {
+                // Walk each user turn wrapper: covers text and attachment-only messages in one pass
+                selector: ".mb-1.mt-6.group",
+                textSelector: '[data-testid="user-message"]',
+                targetSelector: ".flex-wrap.justify-end",
+                turn: { depth: 2 },
+                answer: {
+                    selector: '.font-claude-response, .font-claude-response-body, [data-testid="ai-message"]',
+                    maxSiblings: 1,
+                    lookahead: '.font-claude-response, .font-claude-response-body, [data-testid="ai-message"]',
+                },
+            },
+            // Fallbacks for older/different layouts
+            { selector: '[data-testid="user-message"]' },
+            { selector: ".human-message" },
+            { selector: '[class*="font-user-message"]' },
+            { selector: ".flex-wrap.justify-end" },
+        ],
+        answer: {
+            lookahead: '[data-testid="ai-message"], .font-claude-response, .font-claude-response-body, .font-claude-message',
+            strip: '[class*="thinking"], [data-testid*="thinking"]',
+        },
+        dedupe: { by: "prefix", length: 100 },
+        attachment: { selector: '[data-testid="file-thumbnail"]' },
+        versions: {
+            selector: '.tabular-nums, [class*="tabular-nums"]',
+            promptScope: ".mb-1.mt-6.group",
+            answerScope: "[data-is-streaming]",
+        },
+        status: {
+            streaming: '[data-is-streaming="true"]',
+            stopButton: 'button[aria-label="Stop response"]',
+        },
+        controls: {
+            sendButton: '[data-testid="send-button"], button[type="submit"]',
+            promptInput: '[contenteditable="true"], textarea',
+        },
+        delays: { pageLoad: 2000, mutation: 300, chatChange: 1500, stateCheck: 5000 },
+    },
+
+    // =========================================================================
+    // Grok
+    // =========================================================================
+    {
+        id: "grok",
+        name: "Grok",
+        match: { hosts: ["grok.com"] },
+        conversation: { idPattern: "/c(?:hat)?/([\\w-]+)" },
+        user: [
+            { selector: ".message-bubble.bg-surface-l1" },
+            { selector: ".user-message" },
+            { selector: "[data-testid='user-message']" },
+            { selector: ".message-user" },
+        ],
+        turn: { selector: '[class*="message"], [class*="bubble"]' },
+        answer: {
+            // No selector: the first non-empty sibling before the next user bubble
+            stopSelector: ".bg-surface-l1",
+            lookahead: '.message-bubble:not(.bg-surface-l1), [class*="assistant"]',
+            strip: '[class*="thinking"], .action-buttons',
+        },
+        dedupe: { by: "prefix", length: 100 },
+        status: { stopButton: "button[aria-label='Stop model response']" },
+        controls: {
+            sendButton: "button[aria-label='Submit'], [data-testid='send-button']",
+            promptInput: "div.tiptap.ProseMirror, textarea[aria-label='Ask Grok anything'], textarea, [contenteditable='true']",
+        },
+        delays: { pageLoad: 2500, mutation: 300, chatChange: 1500, stateCheck: 5000 },
+    },
+];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const TOC_ADAPTERS = {
+    toArray: function (value) {
+        if (value === undefined || value === null) return [];
+        return Array.isArray(value) ? value : [value];
+    },
+
+    // host: a hostname without port, as in location.hostname. Host names are case-insensitive.
+    matchesHost: function (def, host) {
+        const hosts = (def && def.match && def.match.hosts) || [];
+        const name = host.toLowerCase();
+        return hosts.some((h) => {
+            h = h.toLowerCase();
+            return name === h || name.endsWith("." + h);
+        });
+    },
+
+    findForHost: function (defs, host) {
+        return (defs || []).find((def) => TOC_ADAPTERS.matchesHost(def, host)) || null;
+    },
+
+    // 32-bit FNV-1a hash, base36 encoded - used for content-derived turn keys
+    hash: function (text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(36);
+    },
+
+    // Permission match patterns covering every host of an adapter
+    getOrigins: function (def) {
+        return ((def.match && def.match.hosts) || []).map((h) => `*://*.${h}/*`);
+    },
+
+    /**
+     * Validates an adapter definition.
+     * @returns {string[]} Human readable problems; empty when the adapter is usable.
+     */
+    validate: function (def) {
+        const errors = [];
+        const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+        const checkSelector = (value, path, required) => {
+            if (value === undefined || value === null) {
+                if (required) errors.push(`${path} is required`);
+                return;
+            }
+            if (typeof value !== "string" || !value.trim()) {
+                errors.push(`${path} must be a non-empty string`);
+                return;
+            }
+            if (typeof document === "undefined") return;
+            try {
+                document.createDocumentFragment().querySelector(value);
+            } catch (e) {
+                errors.push(`${path} is not a valid CSS selector`);
+            }
+        };
+        const checkTurn = (turn, path) => {
+            if (turn === undefined) return;
+            if (!isObject(turn)) return errors.push(`${path} must be an object`);
+            checkSelector(turn.selector, `${path}.selector`, false);
+            if (turn.depth !== undefined && !(Number.isInteger(turn.depth) && turn.depth > 0)) {
+                errors.push(`${path}.depth must be a positive integer`);
+            }
+        };
+        const checkAnswer = (answer, path) => {
+            if (answer === undefined) return;
+            if (!isObject(answer)) return errors.push(`${path} must be an object`);
+            ["selector", "stopSelector", "lookahead", "strip"].forEach((k) => checkSelector(answer[k], `${path}.${k}`, false));
+            if (answer.maxSiblings !== undefined && !(Number.isInteger(answer.maxSiblings) && answer.maxSiblings > 0)) {
+                errors.push(`${path}.maxSiblings must be a positive integer`);
+            }
+        };
+
+        if (!isObject(def)) return ["Adapter must be a JSON object"];
+
+        if (typeof def.id !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(def.id)) {
+            errors.push("id must use lowercase letters, digits and dashes");
+        }
+        if (typeof def.name !== "string" || !def.name.trim()) {
+            errors.push("name is required");
+        }
+
+        const hosts = def.match && def.match.hosts;
+        if (!Array.isArray(hosts) || hosts.length === 0) {
+            errors.push("match.hosts must list at least one host");
+        } else {
+            hosts.forEach((h, i) => {
+                if (typeof h !== "string" || !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(h)) {
+                    errors.push(`match.hosts[${i}] must be a bare host name like "chat.example.com"`);
+                }
+            });
+        }
+
+        const rules = TOC_ADAPTERS.toArray(def.user);
+        if (rules.length === 0) errors.push("user is required");
+        rules.forEach((rule, i) => {
+            const path = Array.isArray(def.user) ? `user[${i}]` : "user";
+            if (!isObject(rule)) return errors.push(`${path} must be an object`);
+            checkSelector(rule.selector, `${path}.selector`, true);
+            ["textSelector", "targetSelector", "lineSelector", "joinAdjacent"].forEach((k) =>
+                checkSelector(rule[k], `${path}.${k}`, false)
+            );
+            checkTurn(rule.turn, `${path}.turn`);
+            checkAnswer(rule.answer, `${path}.answer`);
+        });
+
+        checkTurn(def.turn, "turn");
+        checkAnswer(def.answer, "answer");
+
+        if (def.conversation !== undefined) {
+            const pattern = isObject(def.conversation) ? def.conversation.idPattern : undefined;
+            if (typeof pattern !== "string" || !pattern) {
+                errors.push("conversation.idPattern must be a non-empty string");
+            } else {
+                try {
+                    new RegExp(pattern);
+                } catch (e) {
+                    errors.push("conversation.idPattern is not a valid regular expression");
+                }
+            }
+        }
+        if (def.messageId !== undefined) {
+            if (!isObject(def.messageId) || typeof def.messageId.attribute !== "string" || !/^[\w-]+$/.test(def.messageId.attribute)) {
+                errors.push("messageId.attribute must be an attribute name");
+            }
+        }
+        if (def.dedupe !== undefined) {
+            if (!isObject(def.dedupe) || !["none", "lowercase", "prefix"].includes(def.dedupe.by)) {
+                errors.push('dedupe.by must be "none", "lowercase" or "prefix"');
+            }
+        }
+        if (def.attachment !== undefined) {
+            if (!isObject(def.attachment)) errors.push("attachment must be an object");
+            else ["selector", "nameSelector", "sizeSelector"].forEach((k) =>
+                checkSelector(def.attachment[k], `attachment.${k}`, false)
+            );
+        }
+        if (def.versions !== undefined) {
+            if (!isObject(def.versions)) errors.push("versions must be an object");
+            else {
+                checkSelector(def.versions.selector, "versions.selector", true);
+                ["promptScope", "answerScope"].forEach((k) => checkSelector(def.versions[k], `versions.${k}`, false));
+            }
+        }
+        if (def.status !== undefined) {
+            if (!isObject(def.status)) errors.push("status must be an object");
+            else ["streaming", "stopButton", "error", "stopped"].forEach((k) =>
+                checkSelector(def.status[k], `status.${k}`, false)
+            );
+        }
+        if (def.controls !== undefined) {
+            if (!isObject(def.controls)) errors.push("controls must be an object");
+            else ["sendButton", "promptInput", "chatContainer"].forEach((k) =>
+                checkSelector(def.controls[k], `controls.${k}`, false)
+            );
+        }
+        if (def.delays !== undefined) {
+            if (!isObject(def.delays)) errors.push("delays must be an object");
+            else Object.keys(def.delays).forEach((k) => {
+                if (typeof def.delays[k] !== "number" || def.delays[k] < 0) {
+                    errors.push(`delays.${k} must be a non-negative number`);
+                }
+            });
+        }
+        if (def.minQueries !== undefined && !(Number.isInteger(def.minQueries) && def.minQueries > 0)) {
+            errors.push("minQueries must be a positive integer");
+        }
+
+        return errors;
+    },
+};
+
+// Make it available to content script, background and popup
+if (typeof module !== 'undefined') {
+    module.exports = { CUSTOM_ADAPTERS_KEY, ADAPTER_DEFAULT_DELAYS, BUILTIN_ADAPTERS, TOC_ADAPTERS };
+}
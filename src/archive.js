@@ -0,0 +1,149 @@
+/**
+ * AI Chat TOC - Conversation Archive
+ * Opt-in local copy of the conversations you open, kept in IndexedDB in the
+ * extension's own origin: it survives chats the site deletes or hides, and
+ * clearing the site's data. Written by the background script from the
+ * snapshots the content script sends.
+ *
+ * Record schema ("conversations" store, keyPath id):
+ *
+ *   id              "<platform>:<conversationId>"
+ *   platform        Adapter id ("chatgpt").
+ *   site            Display name of the site.
+ *   conversationId  Parsed from the URL (see conversation.idPattern in adapters.js).
+ *   url, title      As last seen.
+ *   createdAt       First snapshot, ms since epoch.
+ *   updatedAt       Last change.
+ *   turns           In conversation order. Turns that left the page (deleted, or on
+ *                   another branch of an edit) are kept where they were:
+ *                     key           Turn key from the content script.
+ *                     prompt        Prompt text.
+ *                     attachments   [{ name, type, size }]
+ *                     answer        { text, markdown, outline: [{ text, depth }],
+ *                                   code: [{ language, code }] }
+ *                     promptVersion, answerVersion  { index, count } or null
+ *                     status        complete, error or stopped
+ *                     createdAt, updatedAt
+ */
+
+const ARCHIVE_DB_NAME = "toc-archive";
+const ARCHIVE_DB_VERSION = 1;
+const ARCHIVE_STORE = "conversations";
+
+const TOC_ARCHIVE = {
+    // Promise of the open database, shared by every call
+    db: null,
+
+    open: function () {
+        if (!TOC_ARCHIVE.db) {
+            TOC_ARCHIVE.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(ARCHIVE_STORE, { keyPath: "id" });
+                    store.createIndex("updatedAt", "updatedAt");
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((e) => {
+                // Let the next call try again
+                TOC_ARCHIVE.db = null;
+                throw e;
+            });
+        }
+        return TOC_ARCHIVE.db;
+    },
+
+    /**
+     * Runs `fn(store)` in a transaction.
+     * @returns {Promise} The result of the request returned by fn, once committed.
+     */
+    run: function (mode, fn) {
+        return TOC_ARCHIVE.open().then((db) => new Promise((resolve, reject) => {
+            const tx = db.transaction(ARCHIVE_STORE, mode);
+            const request = fn(tx.objectStore(ARCHIVE_STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    },
+
+    get: function (id) {
+        return TOC_ARCHIVE.run("readonly", (store) => store.get(id)).then((record) => record || null);
+    },
+
+    // Every archived conversation, most recently updated first
+    list: function () {
+        return TOC_ARCHIVE.run("readonly", (store) => store.index("updatedAt").getAll())
+            .then((records) => records.reverse());
+    },
+
+    remove: function (id) {
+        return TOC_ARCHIVE.run("readwrite", (store) => store.delete(id));
+    },
+
+    clear: function () {
+        return TOC_ARCHIVE.run("readwrite", (store) => store.clear());
+    },
+
+    /**
+     * Merges a snapshot into the conversation's record, in one read-write transaction so
+     * snapshots of the same conversation from two tabs can't overwrite each other.
+     * @param {object} snapshot - { id, platform, site, conversationId, url, title,
+     *     keys, turns }: `keys` lists every turn on the page in order, `turns` only the
+     *     ones that changed since the last snapshot.
+     * @returns {Promise<object>} The stored record.
+     */
+    save: function (snapshot) {
+        return TOC_ARCHIVE.open().then((db) => new Promise((resolve, reject) => {
+            const tx = db.transaction(ARCHIVE_STORE, "readwrite");
+            const store = tx.objectStore(ARCHIVE_STORE);
+            let record = null;
+
+            const read = store.get(snapshot.id);
+            read.onsuccess = () => {
+                record = TOC_ARCHIVE.merge(read.result, snapshot, Date.now());
+                store.put(record);
+            };
+            tx.oncomplete = () => resolve(record);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    },
+
+    merge: function (record, snapshot, now) {
+        const previous = record ? record.turns : [];
+        const turns = new Map(previous.map((turn) => [turn.key, turn]));
+
+        snapshot.turns.forEach((turn) => {
+            const known = turns.get(turn.key);
+            turns.set(turn.key, { ...turn, createdAt: known ? known.createdAt : now, updatedAt: now });
+        });
+
+        // Page order, with the turns no longer on the page kept after the turn they followed
+        const order = snapshot.keys.slice();
+        let last = -1;
+        previous.forEach((turn) => {
+            const at = order.indexOf(turn.key);
+            if (at !== -1) last = at;
+            else order.splice(++last, 0, turn.key);
+        });
+
+        return {
+            id: snapshot.id,
+            platform: snapshot.platform,
+            site: snapshot.site,
+            conversationId: snapshot.conversationId,
+            url: snapshot.url,
+            title: snapshot.title || (record && record.title) || "",
+            createdAt: record ? record.createdAt : now,
+            updatedAt: now,
+            // Keys without a turn are still being answered: they come in a later snapshot
+            turns: order.filter((key) => turns.has(key)).map((key) => turns.get(key)),
+        };
+    },
+};
+
+// Make it available to the background script and extension pages
+if (typeof module !== 'undefined') {
+    module.exports = { ARCHIVE_DB_NAME, ARCHIVE_STORE, TOC_ARCHIVE };
+}
@@ -1,16 +1,197 @@
 /**
  * AI Chat TOC - Background Script
- * Handles global keyboard shortcuts and message passing.
+ * Handles global keyboard shortcuts, message passing, injection into
+ * hosts of user-defined custom adapters, the conversation archive and the print view.
  */
 
-// Listen for the "toggle-toc" command from manifest.json
-chrome.commands.onCommand.addListener((command) => {
-    if (command === "toggle-toc") {
-        // Find the active tab and send a toggle message
+// MV3 service worker: load the shared settings, adapter definitions and archive (MV2 lists them in the manifest)
+if (typeof BUILTIN_ADAPTERS === "undefined" && typeof importScripts === "function") {
+    importScripts("themes.js", "adapters.js", "archive.js");
+}
+
+// Commands from manifest.json that are forwarded to the content script as-is
+const TAB_COMMANDS = ["toggle-toc", "next-prompt", "previous-prompt", "focus-search", "jump-latest"];
+
+// Mirrors the displayMode setting: opening the side panel must happen synchronously
+// inside the command handler, there is no time for a storage read
+let displayMode = DEFAULT_SETTINGS.displayMode;
+
+chrome.storage.local.get({ displayMode: DEFAULT_SETTINGS.displayMode }, (items) => {
+    displayMode = items.displayMode;
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.displayMode) {
+        displayMode = changes.displayMode.newValue || DEFAULT_SETTINGS.displayMode;
+    }
+});
+
+/**
+ * Opens the docked TOC in the browser's side panel (Chrome) or sidebar (Firefox).
+ * Must be called from a user gesture.
+ */
+const openSidePanel = (tab) => {
+    if (chrome.sidePanel && tab) {
+        chrome.sidePanel.open({ windowId: tab.windowId }).catch((e) => console.debug("[TOC] Side panel", e));
+    } else if (typeof browser !== "undefined" && browser.sidebarAction) {
+        browser.sidebarAction.toggle();
+    }
+};
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === "toggle-toc" && displayMode === "docked") {
+        openSidePanel(tab);
+        return;
+    }
+
+    if (TAB_COMMANDS.includes(command)) {
+        // Find the active tab and send the command as a message
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
             if (tabs[0]) {
-                chrome.tabs.sendMessage(tabs[0].id, { action: "toggle-toc" });
+                chrome.tabs.sendMessage(tabs[0].id, { action: command });
             }
         });
     }
 });
+
+// =============================================================================
+// Custom adapters - inject the content scripts into newly permitted hosts
+// =============================================================================
+
+const executeInTab = (tabId, details) => {
+    if (chrome.scripting) {
+        const target = { tabId };
+        if (details.css) return chrome.scripting.insertCSS({ target, files: [details.css] });
+        if (details.func) return chrome.scripting.executeScript({ target, func: details.func })
+            .then((results) => results.map((r) => r.result));
+        return chrome.scripting.executeScript({ target, files: [details.file] });
+    }
+
+    // MV2 (Firefox): tabs.executeScript / tabs.insertCSS
+    const call = (method, arg) => new Promise((resolve, reject) => {
+        chrome.tabs[method](tabId, arg, (result) => {
+            if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
+            else resolve(result);
+        });
+    });
+    if (details.css) return call("insertCSS", { file: details.css });
+    if (details.func) return call("executeScript", { code: `(${details.func.toString()})()` });
+    return call("executeScript", { file: details.file });
+};
+
+const injectContentScripts = async (tabId) => {
+    const [alreadyLoaded] = await executeInTab(tabId, { func: () => !!(window.TOC && window.TOC.UI) });
+    if (alreadyLoaded) return;
+
+    const contentScript = chrome.runtime.getManifest().content_scripts[0];
+    for (const css of contentScript.css || []) {
+        await executeInTab(tabId, { css });
+    }
+    for (const file of contentScript.js) {
+        await executeInTab(tabId, { file });
+    }
+};
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.status !== "complete" || !tab.url) return;
+
+    let host;
+    try {
+        host = new URL(tab.url).hostname;
+    } catch (e) {
+        return;
+    }
+
+    // Built-in hosts are covered by the static content script
+    if (TOC_ADAPTERS.findForHost(BUILTIN_ADAPTERS, host)) return;
+
+    chrome.storage.local.get({ [CUSTOM_ADAPTERS_KEY]: [] }, (items) => {
+        const adapter = TOC_ADAPTERS.findForHost(items[CUSTOM_ADAPTERS_KEY], host);
+        if (!adapter) return;
+
+        chrome.permissions.contains({ origins: TOC_ADAPTERS.getOrigins(adapter) }, (granted) => {
+            if (!granted) return;
+            injectContentScripts(tabId).catch((e) => console.debug("[TOC] Injection failed", e));
+        });
+    });
+});
+
+// =============================================================================
+// Panel styles - panel.css for the content script's shadow root (see UI.loadStyles)
+// =============================================================================
+
+// Read once; not web-accessible, so pages can't probe for the extension through it
+let panelStyles = null;
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action !== "toc-panel-css") return;
+
+    if (!panelStyles) panelStyles = fetch(chrome.runtime.getURL("panel.css")).then((response) => response.text());
+    panelStyles
+        .then((css) => sendResponse({ css }))
+        .catch((e) => {
+            console.debug("[TOC] Panel styles", e);
+            panelStyles = null;
+            sendResponse({ css: null });
+        });
+    return true; // Responds asynchronously
+});
+
+// =============================================================================
+// Conversation archive - snapshots sent by the content script (opt-in setting)
+// =============================================================================
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action !== "toc-archive") return;
+
+    TOC_ARCHIVE.save(request.snapshot)
+        .then(() => sendResponse({ ok: true }))
+        .catch((e) => {
+            console.debug("[TOC] Archive", e);
+            sendResponse({ ok: false });
+        });
+    return true; // Responds asynchronously
+});
+
+// =============================================================================
+// Print view - conversations handed from the content script to print.html
+// =============================================================================
+
+// Job id -> transcript, kept while the print tab is open so that reloading it works.
+// In memory only: a print view left open after the service worker stopped asks for a new export.
+const printJobs = new Map();
+const printTabs = new Map(); // Tab id -> job id
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "toc-print-job") {
+        sendResponse({ transcript: printJobs.get(request.id) || null });
+        return;
+    }
+    if (request.action !== "toc-print") return;
+
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    printJobs.set(id, request.transcript);
+
+    // Next to the chat it was printed from
+    const properties = { url: chrome.runtime.getURL(`print.html?job=${id}`) };
+    if (sender.tab) {
+        properties.index = sender.tab.index + 1;
+        properties.openerTabId = sender.tab.id;
+    }
+    chrome.tabs.create(properties, (tab) => {
+        if (chrome.runtime.lastError || !tab) {
+            printJobs.delete(id);
+            sendResponse({ ok: false });
+            return;
+        }
+        printTabs.set(tab.id, id);
+        sendResponse({ ok: true });
+    });
+    return true; // Responds asynchronously
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    if (!printTabs.has(tabId)) return;
+    printJobs.delete(printTabs.get(tabId));
+    printTabs.delete(tabId);
+});
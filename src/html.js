@@ -0,0 +1,247 @@
+/**
+ * AI Chat TOC - Standalone HTML Export
+ * Renders a transcript (see transcript.js) as one self-contained page: styles inline,
+ * no scripts, fonts or images to load, so the file opens anywhere and can be shared with
+ * people who have no account on the chat site. Code blocks are syntax-highlighted here,
+ * at export time.
+ */
+
+// Highlighted as keywords in every language: common enough that a miss is rare
+const HTML_KEYWORDS = new Set(`
+    abstract and as assert async await break case catch class const continue def default defer
+    del delete do elif else enum except export extends final finally fn for foreach from func
+    function go goto if impl implements import in instanceof interface is lambda let loop match
+    mod module mut namespace new not or package pass private protected pub public raise return
+    select static struct super switch template this throw throws trait try type typedef typeof
+    union unsafe use using var void when where while with yield
+`.trim().split(/\s+/));
+
+const HTML_LITERALS = new Set(["true", "false", "null", "undefined", "nil", "None", "True", "False", "NaN", "self"]);
+
+// Languages whose line comments don't start with "//"
+const HTML_LINE_COMMENTS = {
+    python: "#", py: "#", ruby: "#", rb: "#", perl: "#", r: "#",
+    bash: "#", sh: "#", shell: "#", zsh: "#", powershell: "#", ps1: "#",
+    yaml: "#", yml: "#", toml: "#", dockerfile: "#", makefile: "#", ini: ";",
+    sql: "--", lua: "--", haskell: "--", hs: "--",
+};
+
+const HTML_MARKUP_LANGUAGES = new Set(["html", "xml", "svg", "vue"]);
+const HTML_PLAIN_LANGUAGES = new Set(["", "text", "txt", "plaintext", "markdown", "md", "output", "console", "csv", "math"]);
+
+const TOC_HTML = {
+    /**
+     * Builds the page.
+     * @param {object} transcript - As created by TOC_TRANSCRIPT.create.
+     * @param {object} options - { theme: THEMES entry, mode: "light", "dark" or "system" }
+     *   "system" keeps both palettes and follows the reader's preference.
+     * @returns {string}
+     */
+    fromTranscript: function (transcript, options) {
+        const escape = TOC_MARKDOWN.escapeHTML;
+        const title = TOC_TRANSCRIPT.getTitle(transcript);
+        const exported = new Date(transcript.exportedAt).toLocaleString();
+        const url = transcript.conversation.url;
+
+        const toc = transcript.turns.map((turn, i) => {
+            const text = turn.question.text.replace(/\s+/g, " ");
+            const label = text.length > 100 ? text.substring(0, 97) + "..." : text;
+            const classes = [turn.pinned ? "pinned" : "", turn.note ? "has-note" : ""].filter(Boolean).join(" ");
+            return `<li${classes ? ` class="${classes}"` : ""}><a href="#turn-${i + 1}" title="${escape(turn.question.text)}">${escape(label)}</a></li>`;
+        }).join("\n");
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="AI Chat TOC">
+<title>${escape(title)} - ${escape(transcript.site)}</title>
+<style>
+${TOC_HTML.getStyles(options.theme, options.mode)}
+</style>
+</head>
+<body>
+<nav class="toc">
+<div class="meta">
+<span class="site">${escape(transcript.site)}</span>
+<h1>${escape(title)}</h1>
+<p>${transcript.turns.length} turns · exported ${escape(exported)}</p>
+${/^https?:/i.test(url || "") ? `<a href="${escape(url)}" target="_blank" rel="noopener">Open original chat</a>` : ""}
+</div>
+<ol>
+${toc}
+</ol>
+</nav>
+<main>
+${transcript.turns.map((turn, i) => TOC_HTML.turnHTML(turn, i)).join("\n")}
+</main>
+</body>
+</html>
+`;
+    },
+
+    // One collapsible turn: the question is the summary, everything else folds under it
+    turnHTML: function (turn, index) {
+        const escape = TOC_MARKDOWN.escapeHTML;
+        const version = (kind, v) => v
+            ? ` <span class="version" title="${kind} version ${v.index} of ${v.count}">${v.index}/${v.count}</span>`
+            : "";
+
+        let html = `<details class="turn" id="turn-${index + 1}" open>\n`;
+        html += `<summary><span class="num">${index + 1}</span><span class="question">${escape(turn.question.text)}${version("Prompt", turn.question.version)}</span></summary>\n`;
+
+        const attachments = turn.question.attachments || [];
+        if (attachments.length) {
+            html += `<ul class="attachments">${attachments.map((a) => `<li>${escape(TOC_TRANSCRIPT.describeAttachment(a))}</li>`).join("")}</ul>\n`;
+        }
+        if (turn.note) html += `<aside class="note">${escape(turn.note)}</aside>\n`;
+        if (turn.answer) {
+            html += `<div class="answer-label">Answer${version("Answer", turn.answer.version)}</div>\n`;
+            html += `<div class="answer">${TOC_HTML.answerHTML(turn.answer.markdown)}</div>\n`;
+        }
+        const status = TOC_TRANSCRIPT.getStatusLabel(turn);
+        if (status) html += `<div class="status">${escape(status)}</div>\n`;
+
+        const alternates = turn.alternates || [];
+        if (alternates.length) {
+            html += `<details class="alternates"><summary>Other versions (${alternates.length})</summary>\n`;
+            alternates.forEach((alt) => {
+                html += `<section><div class="question">${escape(alt.question.text)}${version("Prompt", alt.question.version)}</div>`;
+                if (alt.answer) {
+                    html += `${version("Answer", alt.answer.version)}<div class="answer">${TOC_HTML.answerHTML(alt.answer.markdown)}</div>`;
+                }
+                html += "</section>\n";
+            });
+            html += "</details>\n";
+        }
+        return html + "</details>";
+    },
+
+    // Answer Markdown as HTML, code blocks highlighted and labelled with their language
+    answerHTML: function (markdown) {
+        return TOC_MARKDOWN.toHTML(markdown).replace(
+            /<pre><code(?: class="language-([^"]*)")?>([\s\S]*?)<\/code><\/pre>/g,
+            (_, language, code) => {
+                const label = language ? ` data-language="${language}"` : "";
+                const highlighted = TOC_HTML.highlight(TOC_MARKDOWN.unescapeHTML(code), language);
+                return `<pre${label}><code${language ? ` class="language-${language}"` : ""}>${highlighted}</code></pre>`;
+            }
+        );
+    },
+
+    /**
+     * Lightweight highlighting: comments, strings, numbers, keywords and literals, with the
+     * comment syntax of the language. Code is escaped; only <span class="tok-*"> is added.
+     * @param {string} code
+     * @param {string} [language] - Fence language; plain text and Markdown stay as they are.
+     * @returns {string}
+     */
+    highlight: function (code, language) {
+        const escape = TOC_MARKDOWN.escapeHTML;
+        const lang = (language || "").toLowerCase();
+        if (HTML_PLAIN_LANGUAGES.has(lang)) return escape(code);
+
+        // Markup only gets its comments and attribute values: its text is prose
+        const markup = HTML_MARKUP_LANGUAGES.has(lang);
+        let comment;
+        if (markup) comment = String.raw`<!--[\s\S]*?-->`;
+        else if (lang in HTML_LINE_COMMENTS) comment = `${HTML_LINE_COMMENTS[lang]}[^\\n]*`;
+        else comment = String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`;
+
+        let strings;
+        if (markup) strings = String.raw`"[^"]*"`;
+        // Rust's single quotes are char literals or lifetimes ('a), never strings
+        else if (lang === "rust" || lang === "rs") strings = String.raw`"(?:[^"\\]|\\.)*"|'(?:[^'\\\n]|\\.)'`;
+        else strings = String.raw`"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|\x60(?:[^\x60\\]|\\.)*\x60`;
+        const numbers = String.raw`\b(?:0x[\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b`;
+        const words = String.raw`[A-Za-z_$][\w$]*`;
+        const pattern = new RegExp(`(${comment})|(${strings})|(${numbers})|(${words})`, "g");
+
+        let html = "";
+        let last = 0;
+        for (const match of code.matchAll(pattern)) {
+            html += escape(code.slice(last, match.index));
+            last = match.index + match[0].length;
+
+            // SQL keywords are written in any case
+            const word = lang === "sql" ? match[0].toLowerCase() : match[0];
+            const kind = match[1] ? "comment" : match[2] ? "string" : match[3] ? "number"
+                : markup ? null : HTML_KEYWORDS.has(word) ? "keyword" : HTML_LITERALS.has(match[0]) ? "literal" : null;
+            html += kind ? `<span class="tok-${kind}">${escape(match[0])}</span>` : escape(match[0]);
+        }
+        return html + escape(code.slice(last));
+    },
+
+    // Page styles with the accent of the chosen theme
+    getStyles: function (theme, mode) {
+        const palette = (colors, dark) => dark
+            ? `--accent: ${colors.accent}; --accent-bg: ${colors.accentLight}; --bg: #1e1e23; --bg-card: #282830; --bg-hover: #373741; --text: #f3f4f6; --text-dim: #d1d5db; --text-muted: #9ca3af; --border: rgba(255, 255, 255, 0.12); --on-accent: #1a1a2e; --tok-comment: #8b949e; --tok-string: #a5d6ff; --tok-number: #79c0ff; --tok-keyword: #ff7b72; --tok-literal: #d2a8ff; color-scheme: dark;`
+            : `--accent: ${colors.accent}; --accent-bg: ${colors.accentLight}; --bg: #ffffff; --bg-card: #f8fafc; --bg-hover: #f1f5f9; --text: #0f172a; --text-dim: #64748b; --text-muted: #94a3b8; --border: #e2e8f0; --on-accent: #ffffff; --tok-comment: #6a737d; --tok-string: #032f62; --tok-number: #005cc5; --tok-keyword: #d73a49; --tok-literal: #6f42c1; color-scheme: light;`;
+
+        let root = mode === "dark" ? `:root { ${palette(theme.dark, true)} }` : `:root { ${palette(theme.light, false)} }`;
+        if (mode === "system") root += `\n@media (prefers-color-scheme: dark) { :root { ${palette(theme.dark, true)} } }`;
+
+        return `${root}
+*, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+html { scroll-behavior: smooth; }
+body { display: flex; min-height: 100vh; background: var(--bg); color: var(--text); font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; }
+.toc { position: sticky; top: 0; display: flex; flex-direction: column; width: 300px; height: 100vh; flex-shrink: 0; border-right: 1px solid var(--border); background: var(--bg-card); }
+.meta { padding: 16px; }
+.meta .site { display: inline-block; padding: 0 6px; border-radius: 4px; background: var(--accent-bg); color: var(--accent); font-size: 11px; font-weight: 500; }
+.meta h1 { margin-top: 4px; font-size: 16px; line-height: 1.35; word-break: break-word; }
+.meta p { font-size: 11px; color: var(--text-muted); }
+.meta a { font-size: 11px; color: var(--accent); }
+.toc ol { flex: 1; overflow-y: auto; padding: 0 0 16px; list-style: none; counter-reset: turn; }
+.toc li { counter-increment: turn; }
+.toc li a { display: flex; gap: 8px; padding: 6px 14px; color: var(--text-dim); font-size: 13px; line-height: 1.45; text-decoration: none; word-break: break-word; }
+.toc li a::before { content: counter(turn); flex-shrink: 0; width: 22px; height: 20px; border-radius: 6px; background: var(--bg-hover); color: var(--text-muted); font-size: 11px; font-weight: 500; line-height: 20px; text-align: center; }
+.toc li a:hover { background: var(--accent-bg); color: var(--text); }
+.toc li.pinned a::after { content: "★"; margin-left: auto; color: var(--accent); }
+main { flex: 1; min-width: 0; padding: 16px 32px 80px; }
+.turn { max-width: 820px; margin: 0 auto; padding: 20px 0; border-bottom: 1px solid var(--border); }
+.turn > summary { display: flex; align-items: flex-start; gap: 10px; padding: 10px 12px; border-radius: 8px; background: var(--accent-bg); cursor: pointer; list-style: none; }
+.turn > summary::-webkit-details-marker { display: none; }
+.turn:not([open]) > summary { opacity: 0.8; }
+.num { flex-shrink: 0; min-width: 24px; height: 24px; padding: 0 4px; border-radius: 6px; background: var(--accent); color: var(--on-accent); font-size: 12px; font-weight: 600; line-height: 24px; text-align: center; }
+.question { flex: 1; font-weight: 500; white-space: pre-wrap; word-break: break-word; }
+.version { margin-left: 6px; padding: 0 5px; border: 1px solid var(--border); border-radius: 4px; color: var(--text-muted); font-size: 11px; font-weight: 400; white-space: nowrap; }
+.attachments, .note { margin: 8px 0 0 46px; }
+.attachments { list-style: none; color: var(--text-dim); font-size: 13px; }
+.attachments li::before { content: "📎 "; }
+.note { padding: 4px 10px; border-left: 2px solid var(--accent); border-radius: 4px; background: var(--bg-card); color: var(--text-dim); font-size: 13px; white-space: pre-wrap; }
+.answer-label { margin: 16px 0 4px; color: var(--text-muted); font-size: 11px; font-weight: 600; letter-spacing: 0.04em; text-transform: uppercase; }
+.status { margin-top: 10px; color: var(--text-muted); font-size: 12px; font-style: italic; }
+.alternates { margin-top: 16px; color: var(--text-dim); }
+.alternates > summary { font-size: 12px; cursor: pointer; }
+.alternates section { margin-top: 12px; padding-left: 12px; border-left: 2px solid var(--border); }
+.answer { overflow-wrap: break-word; }
+.answer > * + * { margin-top: 0.75em; }
+.answer h1, .answer h2, .answer h3, .answer h4, .answer h5, .answer h6 { margin-top: 1.2em; font-size: 1.1em; line-height: 1.3; }
+.answer h1 { font-size: 1.5em; }
+.answer h2 { font-size: 1.3em; }
+.answer ul, .answer ol { padding-left: 1.6em; }
+.answer li + li, .answer li > * + * { margin-top: 0.25em; }
+.answer a { color: var(--accent); }
+.answer code { padding: 0.1em 0.35em; border-radius: 4px; background: var(--bg-hover); font: 0.9em/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+.answer pre { position: relative; padding: 12px 14px; border: 1px solid var(--border); border-radius: 8px; background: var(--bg-card); overflow-x: auto; font: 13px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+.answer pre[data-language]::before { content: attr(data-language); position: absolute; top: 4px; right: 8px; color: var(--text-muted); font: 11px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; }
+.answer pre code { padding: 0; background: none; font: inherit; }
+.tok-comment { color: var(--tok-comment); font-style: italic; }
+.tok-string { color: var(--tok-string); }
+.tok-number { color: var(--tok-number); }
+.tok-keyword { color: var(--tok-keyword); }
+.tok-literal { color: var(--tok-literal); }
+.answer blockquote { padding-left: 12px; border-left: 3px solid var(--border); color: var(--text-dim); }
+.answer table { border-collapse: collapse; font-size: 14px; }
+.answer th, .answer td { padding: 4px 10px; border: 1px solid var(--border); }
+.answer th { background: var(--bg-card); }
+.answer hr { border: none; border-top: 1px solid var(--border); }
+@media (max-width: 720px) { body { display: block; } .toc { position: static; width: auto; height: auto; max-height: 40vh; border-right: none; border-bottom: 1px solid var(--border); } main { padding: 8px 16px 60px; } }`;
+    },
+};
+
+// Make it available to the content script and the extension pages
+if (typeof module !== 'undefined') {
+    module.exports = { TOC_HTML };
+}
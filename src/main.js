@@ -71,588 +71,749 @@ const TOC_PERF = {
     },
 
     /**
-     * Shared monitor factory - eliminates per-site duplication.
-     * @param {object} siteConfig - The SITES entry (has .getQueries, .delays, .lastQueryCount, .lastUrl)
-     * @param {function} onUpdate - Callback to trigger a TOC rebuild.
-     * @param {object} [opts]
-     * @param {number}   [opts.minQueries=1]    - Minimum query count required to trigger updates.
-     * @param {function} [opts.extraGuard]       - Optional function returning false to skip the periodic tick.
+     * Installs pushState/replaceState/popstate hooks once and re-emits them
+     * as a single "toc-locationchange" window event.
      */
-    createSharedMonitor: function (siteConfig, onUpdate, opts) {
-        const o = opts || {};
-        const minQ = (o.minQueries !== undefined) ? o.minQueries : 1;
-        siteConfig.lastUrl = location.href;
-        siteConfig.lastQueryCount = 0;
+    installHistoryHooks: function () {
+        if (TOC_PERF._historyHooksInstalled) return;
+        TOC_PERF._historyHooksInstalled = true;
 
-        const scheduleUpdate = TOC_PERF.debounce(() => {
-            if (!TOC_PERF.isTabVisible()) return;
-            onUpdate();
-        }, siteConfig.delays.chatChange);
+        const emitLocationChange = () => {
+            window.dispatchEvent(new Event("toc-locationchange"));
+        };
 
-        const handleUrlChange = () => {
-            if (!TOC_PERF.isTabVisible()) return;
+        const patchHistoryMethod = (methodName) => {
+            const original = history[methodName];
+            if (typeof original !== "function" || original.__tocPatched) return;
 
-            const currentUrl = location.href;
-            if (currentUrl === siteConfig.lastUrl) return;
+            const patched = function (...args) {
+                const result = original.apply(this, args);
+                emitLocationChange();
+                return result;
+            };
 
-            siteConfig.lastUrl = currentUrl;
-            siteConfig.lastQueryCount = 0;
-            scheduleUpdate();
+            patched.__tocPatched = true;
+            history[methodName] = patched;
         };
 
-        if (!TOC_PERF._historyHooksInstalled) {
-            TOC_PERF._historyHooksInstalled = true;
+        patchHistoryMethod("pushState");
+        patchHistoryMethod("replaceState");
 
-            const emitLocationChange = () => {
-                window.dispatchEvent(new Event("toc-locationchange"));
-            };
+        window.addEventListener("popstate", emitLocationChange);
+        window.addEventListener("hashchange", emitLocationChange);
+    },
 
-            const patchHistoryMethod = (methodName) => {
-                const original = history[methodName];
-                if (typeof original !== "function" || original.__tocPatched) return;
+    // Nearest element containing every given node
+    commonAncestor: function (nodes) {
+        const list = nodes.filter(Boolean);
+        if (list.length === 0) return null;
+        let ancestor = list[0].parentElement;
+        while (ancestor && !list.every((n) => ancestor.contains(n))) {
+            ancestor = ancestor.parentElement;
+        }
+        return ancestor;
+    },
 
-                const patched = function (...args) {
-                    const result = original.apply(this, args);
-                    emitLocationChange();
-                    return result;
-                };
+    /**
+     * Observer-based conversation monitor.
+     * Watches the chat container with a MutationObserver, diffs the turns returned by
+     * getQueries() and emits typed events to onEvent({ type, turns, queries }):
+     *   "turn-added", "turn-removed", "turn-updated" (prompt text, element or version changed;
+     *   `previousKey` is set on a turn whose edited prompt changed its key),
+     *   "answer-updated", "status-changed" and "conversation-switched".
+     * Polls every `delays.stateCheck` ms only while no chat container can be found, and
+     * re-checks every `delays.streaming` ms while a turn is streaming or pending.
+     * @param {object} siteConfig - The site config (has .getQueries, .delays, .selectors)
+     * @param {function} onEvent - Receives every emitted event.
+     * @returns {object} The monitor, exposing refresh() to force a re-scan.
+     */
+    createConversationMonitor: function (siteConfig, onEvent) {
+        const delays = siteConfig.delays;
+        const monitor = {
+            container: null,
+            observer: null,
+            ancestorObserver: null,
+            pollTimer: null,
+            throttleTimer: null,
+            statusTimer: null,
+            stopped: new Set(), // keys of turns whose generation the user stopped
+            snapshot: [],
+            pending: false,
+            pendingSwitch: false,
+        };
+        siteConfig.lastUrl = location.href;
 
-                patched.__tocPatched = true;
-                history[methodName] = patched;
-            };
+        const isOwnNode = (node) => {
+            const el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+            return !!(el && el.closest(`#${window.TOC.CONSTANTS.IDS.TOC_HOST}`));
+        };
 
-            patchHistoryMethod("pushState");
-            patchHistoryMethod("replaceState");
+        const emit = (type, turns, queries) => {
+            try {
+                onEvent({ type, turns, queries });
+            } catch (e) {
+                console.debug(e);
+            }
+        };
 
-            window.addEventListener("popstate", emitLocationChange);
-            window.addEventListener("hashchange", emitLocationChange);
-        }
+        // Compare the new turns against the last snapshot (by turn key) and emit the differences
+        const scan = (forceType) => {
+            monitor.pending = false;
+            const queries = siteConfig.getQueries();
+            const previous = new Map(monitor.snapshot.map((q) => [q.key, q]));
+            const current = new Set(queries.map((q) => q.key));
+
+            // An edited prompt with a text key comes back under a new key at the same position:
+            // it is the same turn, updated, with `previousKey` so stored pins and notes can follow
+            const at = forceType ? -1 : queries.findIndex((q, i) => !monitor.snapshot[i] || monitor.snapshot[i].key !== q.key);
+            let renamed = at !== -1 ? monitor.snapshot[at] : null;
+            if (renamed && !(TOC_ADAPTER.isTextKey(renamed.key) && TOC_ADAPTER.isTextKey(queries[at].key)
+                && !current.has(renamed.key) && !previous.has(queries[at].key))) {
+                renamed = null;
+            }
+            if (renamed) {
+                queries[at].previousKey = renamed.key;
+                previous.delete(renamed.key);
+                previous.set(queries[at].key, renamed);
+                if (monitor.stopped.delete(renamed.key)) monitor.stopped.add(queries[at].key);
+            }
 
-        window.addEventListener("toc-locationchange", handleUrlChange);
+            queries.forEach((q) => {
+                // A new generation (regenerate, retry) of a stopped turn clears its mark
+                const old = previous.get(q.key);
+                if (TOC_ADAPTER.isInFlight(q) && !(old && TOC_ADAPTER.isInFlight(old))) monitor.stopped.delete(q.key);
+                else if (q.status === "complete" && monitor.stopped.has(q.key)) q.status = "stopped";
+            });
 
-        // Periodic safety-net check
-        setInterval(() => {
-            if (!TOC_PERF.isTabVisible()) return;
-            if (o.extraGuard && !o.extraGuard()) return;
+            if (forceType) {
+                emit(forceType, queries, queries);
+            } else {
+                const added = queries.filter((q) => !previous.has(q.key));
+                const removed = monitor.snapshot.filter((q) => !current.has(q.key) && q !== renamed);
+                const kept = queries.filter((q) => previous.has(q.key));
+                // A re-rendered prompt element counts as an update so listeners drop stale references
+                const textChanged = kept.filter((q) => {
+                    const old = previous.get(q.key);
+                    return old.text !== q.text || old.element !== q.element || old.version !== TOC_ADAPTER.getVersionSignature(q);
+                });
+                const answerChanged = kept.filter((q) => {
+                    const old = previous.get(q.key);
+                    return old.answer !== q.answer || old.answerElement !== q.answerElement;
+                });
+                const statusChanged = kept.filter((q) => previous.get(q.key).status !== q.status);
+
+                if (removed.length) emit("turn-removed", removed, queries);
+                if (added.length) emit("turn-added", added, queries);
+                if (textChanged.length) emit("turn-updated", textChanged, queries);
+                if (answerChanged.length) emit("answer-updated", answerChanged, queries);
+                if (statusChanged.length) emit("status-changed", statusChanged, queries);
+            }
 
-            const tocExists = document.getElementById("toc-extension");
-            const currentQueries = siteConfig.getQueries().length;
+            monitor.snapshot = queries.map((q) => ({
+                key: q.key, text: q.text, element: q.element, answer: q.answer, answerElement: q.answerElement,
+                version: TOC_ADAPTER.getVersionSignature(q), status: q.status,
+            }));
+            siteConfig.lastQueryCount = queries.length;
+            attach(queries);
+
+            // The end of a generation may not touch the observed container: look again once things go quiet
+            clearTimeout(monitor.statusTimer);
+            if (queries.some(TOC_ADAPTER.isInFlight)) {
+                monitor.statusTimer = setTimeout(scheduleScan, delays.streaming);
+            }
+        };
 
-            if (!tocExists && currentQueries >= minQ) {
-                siteConfig.lastQueryCount = currentQueries;
-                scheduleUpdate();
+        // Throttled (not debounced) so streaming answers still update while mutations keep coming
+        const scheduleScan = () => {
+            if (!TOC_PERF.isTabVisible()) {
+                monitor.pending = true;
                 return;
             }
+            if (monitor.throttleTimer) return;
+            monitor.throttleTimer = setTimeout(() => {
+                monitor.throttleTimer = null;
+                scan();
+            }, delays.mutation);
+        };
+
+        const resolveContainer = (queries) => {
+            const selector = siteConfig.selectors.chatContainer;
+            const configured = selector ? document.querySelector(selector) : null;
+            if (configured) return configured;
+            if (!queries || queries.length === 0) return null;
+
+            // Derive: the element holding every turn, widened one level so new turns land inside it
+            const nodes = [];
+            queries.forEach((q) => nodes.push(q.element, q.answerElement));
+            const ancestor = TOC_PERF.commonAncestor(nodes);
+            if (!ancestor || ancestor === document.body || ancestor === document.documentElement) return ancestor;
+            return ancestor.parentElement || ancestor;
+        };
+
+        const stopPolling = () => {
+            if (monitor.pollTimer) clearInterval(monitor.pollTimer);
+            monitor.pollTimer = null;
+        };
+
+        const startPolling = () => {
+            if (monitor.pollTimer) return;
+            monitor.pollTimer = setInterval(() => {
+                if (!TOC_PERF.isTabVisible()) return;
+                scan();
+            }, delays.stateCheck);
+        };
+
+        const detach = () => {
+            if (monitor.observer) monitor.observer.disconnect();
+            if (monitor.ancestorObserver) monitor.ancestorObserver.disconnect();
+            monitor.observer = null;
+            monitor.ancestorObserver = null;
+            monitor.container = null;
+        };
 
-            if (currentQueries !== siteConfig.lastQueryCount) {
-                siteConfig.lastQueryCount = currentQueries;
-                if (currentQueries >= minQ) {
-                    scheduleUpdate();
-                } else {
-                    const toc = document.getElementById("toc-extension");
-                    if (toc) toc.remove();
+        // (Re)binds the observer to the current chat container, or falls back to polling
+        const attach = (queries) => {
+            if (monitor.container && monitor.container.isConnected) return;
+            detach();
+
+            const container = resolveContainer(queries);
+            if (!container) {
+                startPolling();
+                return;
+            }
+            stopPolling();
+            monitor.container = container;
+
+            monitor.observer = new MutationObserver((records) => {
+                if (records.every((r) => isOwnNode(r.target))) return;
+                scheduleScan();
+            });
+            monitor.observer.observe(container, { childList: true, subtree: true, characterData: true });
+
+            // The container itself can be swapped out by the host app: watch its ancestors (not their subtrees)
+            monitor.ancestorObserver = new MutationObserver(() => {
+                if (monitor.container && !monitor.container.isConnected) {
+                    detach();
+                    scheduleScan();
                 }
+            });
+            for (let el = container.parentElement; el; el = el.parentElement) {
+                monitor.ancestorObserver.observe(el, { childList: true });
             }
-        }, siteConfig.delays.stateCheck);
+        };
+
+        const switchConversation = TOC_PERF.debounce(() => {
+            if (!TOC_PERF.isTabVisible()) {
+                monitor.pendingSwitch = true;
+                return;
+            }
+            monitor.pendingSwitch = false;
+            detach();
+            monitor.snapshot = [];
+            monitor.stopped.clear();
+            scan("conversation-switched");
+        }, delays.chatChange);
+
+        // Sites rarely mark a stopped answer: remember which turn was in flight when stop was clicked
+        if (siteConfig.selectors.stopButton) {
+            document.addEventListener("click", (e) => {
+                if (!e.target.closest || !e.target.closest(siteConfig.selectors.stopButton)) return;
+                monitor.snapshot.filter(TOC_ADAPTER.isInFlight).forEach((q) => monitor.stopped.add(q.key));
+                scheduleScan();
+            }, true);
+        }
+
+        TOC_PERF.installHistoryHooks();
+        window.addEventListener("toc-locationchange", () => {
+            if (location.href === siteConfig.lastUrl) return;
+            siteConfig.lastUrl = location.href;
+            switchConversation();
+        });
+
+        // Catch up on changes that happened while the tab was hidden
+        document.addEventListener("visibilitychange", () => {
+            if (!TOC_PERF.isTabVisible()) return;
+            if (monitor.pendingSwitch) switchConversation();
+            else if (monitor.pending) scheduleScan();
+        });
+
+        monitor.refresh = () => scan();
+        scan();
+        return monitor;
     },
 };
 
 // =============================================================================
-// Site Configurations
+// Adapter Interpreter - Turns a declarative adapter (adapters.js) into a site config
 // =============================================================================
 
-const SITES = {
-    // =========================================================================
-    // ChatGPT Configuration
-    // =========================================================================
-    chatgpt: {
-        name: "ChatGPT",
-        host: "chatgpt.com",
-        platformKey: "chatgpt",
-        storageKey: "chatgpt-toc-position",
-        selectors: {
-            userMessage: 'div[data-message-author-role="user"]',
-            sendButton: '[data-testid="send-button"]',
-            promptInput: "#prompt-textarea",
-        },
-        delays: {
-            pageLoad: 2000,
-            promptSubmission: 500,
-            chatChange: 1500,
-            stateCheck: 5000,
-        },
-
-        lastQueryCount: 0,
-        lastUrl: "",
-
-        getQueries: function () {
-            const queryElements = document.querySelectorAll(this.selectors.userMessage);
-            const queries = [];
-            queryElements.forEach((el) => {
-                let text = el.textContent.trim();
-                if (!text) text = "[Attachment]";
-
-                // Extract AI answer: walk up to the turn container, then find the assistant message
-                let answer = "";
-                let answerElement = null;
-                try {
-                    // ChatGPT groups messages in turn containers
-                    const turnContainer = el.closest('[data-testid^="conversation-turn"]') || el.closest('article') || el.parentElement;
-                    if (turnContainer) {
-                        let nextTurn = turnContainer.nextElementSibling;
-                        while (nextTurn) {
-                            const assistantMsg = nextTurn.querySelector('[data-message-author-role="assistant"]');
-                            if (assistantMsg) {
-                                answerElement = assistantMsg;
-                                answer = assistantMsg.textContent.trim();
-                                break;
-                            }
-                            // If we hit another user message, stop
-                            if (nextTurn.querySelector('[data-message-author-role="user"]')) break;
-                            nextTurn = nextTurn.nextElementSibling;
-                        }
-                    }
-                } catch (e) { /* silently ignore */ }
+// "1.2 MB", "340 KB", "12 bytes" as shown on file tiles
+const ATTACHMENT_SIZE_PATTERN = /\b\d+(?:[.,]\d+)?\s?(?:[KMGT]i?B|bytes|B)\b/i;
+// "report.pdf" -> "pdf"
+const ATTACHMENT_EXTENSION_PATTERN = /\.([a-z][a-z0-9]{0,7})$/i;
+// "2 / 3" on the version switcher of an edited prompt or regenerated answer
+const VERSION_PATTERN = /(\d+)\s*\/\s*(\d+)/;
 
-                queries.push({ text, element: el, answer, answerElement });
-            });
-            return queries;
-        },
-
-        setupMonitor: function (onUpdate) {
-            TOC_PERF.createSharedMonitor(this, onUpdate);
-        },
+const TOC_ADAPTER = {
+    /**
+     * Builds the site config consumed by TOC.UI from an adapter definition.
+     * @param {object} def - Adapter definition (see adapters.js for the schema)
+     */
+    createSite: function (def) {
+        const controls = def.controls || {};
+        const firstRule = TOC_ADAPTERS.toArray(def.user)[0] || {};
+
+        return {
+            name: def.name,
+            host: def.match.hosts[0],
+            platformKey: def.platformKey || def.id,
+            storageKey: `${def.id}-toc-position`,
+            minQueries: def.minQueries || 1,
+            definition: def,
+            selectors: {
+                userMessage: firstRule.selector,
+                sendButton: controls.sendButton,
+                promptInput: controls.promptInput,
+                chatContainer: controls.chatContainer,
+                stopButton: def.status && def.status.stopButton,
+            },
+            delays: { ...ADAPTER_DEFAULT_DELAYS, ...(def.delays || {}) },
+
+            lastQueryCount: 0,
+            lastUrl: "",
+
+            getQueries: function () {
+                return TOC_ADAPTER.getQueries(def);
+            },
+
+            getConversationId: function () {
+                return TOC_ADAPTER.getConversationId(def, location.pathname);
+            },
+
+            setupMonitor: function (onEvent) {
+                return TOC_PERF.createConversationMonitor(this, onEvent);
+            },
+        };
     },
 
-    // =========================================================================
-    // Gemini Configuration
-    // =========================================================================
-    gemini: {
-        name: "Gemini",
-        host: "gemini.google.com",
-        platformKey: "gemini",
-        storageKey: "gemini-toc-position",
-        selectors: {
-            userMessage: ".query-text-line, .user-message, .query, user-query",
-            sendButton: '[data-testid="submit-button"], button[type="submit"]',
-            promptInput: "textarea, #ask-input",
-            chatContainer: "main, [role='main']",
-        },
-        delays: {
-            pageLoad: 1500,
-            promptSubmission: 500,
-            chatChange: 1500,
-            stateCheck: 5000,
-        },
-
-        lastQueryCount: 0,
-        lastUrl: "",
-
-        getQueries: function () {
-            const containerSelector = ".user-message, .query, user-query";
-            const containers = Array.from(document.querySelectorAll(containerSelector));
-            const groups = [];
-            const geminiAiSelector = '.model-response-text, .model-response, [class*="response"]';
-
-            if (containers.length) {
-                const aiElements = Array.from(document.querySelectorAll(geminiAiSelector));
-                containers.forEach((container) => {
-                    const lineNodes = Array.from(container.querySelectorAll(".query-text-line"));
-                    let text;
-                    if (lineNodes.length) {
-                        text = lineNodes.map((n) => n.textContent).join(" ").replace(/\s+/g, " ").trim();
-                    } else {
-                        text = container.textContent.replace(/\s+/g, " ").trim();
-                    }
-                    if (!text) text = "[Attachment]";
-
-                    // Extract AI answer from the next sibling model response
-                    let answer = "";
-                    let answerElement = null;
-                    try {
-                        const turnContainer = container.closest('.conversation-turn, [class*="turn"]') || container.parentElement;
-                        if (turnContainer) {
-                            let next = turnContainer.nextElementSibling;
-                            while (next) {
-                                const modelResp = next.querySelector('.model-response-text, .model-response, [class*="response"]');
-                                if (modelResp) {
-                                    answerElement = modelResp;
-                                    answer = modelResp.textContent.trim();
-                                    break;
-                                }
-                                if (next.querySelector('.user-message, .query')) break;
-                                next = next.nextElementSibling;
-                            }
-                        }
-                    } catch (e) { /* silently ignore */ }
+    // Conversation id from the URL path (see conversation.idPattern), null on pages without one
+    getConversationId: function (def, path) {
+        const pattern = def.conversation && def.conversation.idPattern;
+        if (!pattern) return path.replace(/^\/+|\/+$/g, "") || null;
 
-                    if (!answerElement) {
-                        answerElement = TOC_PERF.findAnswerElement(container, aiElements, containers);
-                        if (answerElement) answer = answerElement.textContent.trim();
-                    }
+        const match = new RegExp(pattern).exec(path);
+        return match ? match[1] || match[0] : null;
+    },
 
-                    groups.push({ text, element: container, answer, answerElement });
-                });
+    getQueries: function (def) {
+        for (const rule of TOC_ADAPTERS.toArray(def.user)) {
+            let queries = [];
+            try {
+                queries = TOC_ADAPTER.runUserRule(def, rule);
+            } catch (e) {
+                console.debug(e);
+            }
+            if (queries.length > 0) {
+                return TOC_ADAPTER.assignStatus(def, TOC_ADAPTER.assignKeys(def, TOC_ADAPTER.dedupe(def, queries)));
+            }
+        }
+        return [];
+    },
+
+    runUserRule: function (def, rule) {
+        const elements = Array.from(document.querySelectorAll(rule.selector));
+        if (elements.length === 0) return [];
+
+        const label = (def.attachment && def.attachment.label) || "[Attachment]";
+        const turnRule = rule.turn || def.turn || {};
+        const answerRule = rule.answer || def.answer || {};
+        const strip = answerRule.strip || (def.answer && def.answer.strip);
+
+        // Pass 1: resolve prompt text and scroll target for every user element
+        const turns = [];
+        for (const el of elements) {
+            let text = "";
+            let target = el;
+
+            const tiles = TOC_ADAPTER.findAttachmentTiles(def, el);
+            const attachments = tiles.map((tile) => TOC_ADAPTER.readAttachment(def, tile));
+
+            if (rule.joinAdjacent && el.matches(rule.joinAdjacent)) {
+                const prev = el.previousElementSibling;
+                if (prev && prev.matches(rule.joinAdjacent)) continue;
+                const parts = [el.textContent];
+                let next = el.nextElementSibling;
+                while (next && next.matches(rule.joinAdjacent)) {
+                    parts.push(next.textContent);
+                    next = next.nextElementSibling;
+                }
+                text = parts.join(" ");
+            } else if (rule.textSelector) {
+                const textEl = el.querySelector(rule.textSelector);
+                if (!textEl && attachments.length === 0) continue;
+                text = textEl ? textEl.textContent : "";
+                target = textEl || (rule.targetSelector && el.querySelector(rule.targetSelector)) || el;
+            } else if (rule.lineSelector) {
+                const lines = Array.from(el.querySelectorAll(rule.lineSelector));
+                text = lines.length ? lines.map((n) => n.textContent).join(" ") : TOC_ADAPTER.getTextOutside(el, tiles);
             } else {
-                const nodes = Array.from(document.querySelectorAll(this.selectors.userMessage));
-                const aiElements = Array.from(document.querySelectorAll(geminiAiSelector));
-                for (let i = 0; i < nodes.length; i++) {
-                    const el = nodes[i];
-                    const isLine = el.classList && el.classList.contains("query-text-line");
-                    let text = "";
-
-                    if (isLine) {
-                        const prev = el.previousElementSibling;
-                        if (prev && prev.parentElement === el.parentElement && prev.classList.contains("query-text-line")) {
-                            continue;
-                        }
-                        const parts = [el.textContent];
-                        let j = i + 1;
-                        while (j < nodes.length && nodes[j].classList && nodes[j].classList.contains("query-text-line") && nodes[j].parentElement === el.parentElement) {
-                            parts.push(nodes[j].textContent);
-                            j++;
-                        }
-                        i = j - 1;
-                        text = parts.join(" ").replace(/\s+/g, " ").trim();
-                    } else {
-                        text = el.textContent.replace(/\s+/g, " ").trim();
-                    }
+                text = TOC_ADAPTER.getTextOutside(el, tiles);
+            }
 
-                    if (!text) text = "[Attachment]";
+            if (rule.normalizeWhitespace) text = text.replace(/\s+/g, " ");
+            text = text.trim();
 
-                    let answer = "";
-                    let answerElement = TOC_PERF.findAnswerElement(el, aiElements, nodes);
-                    if (answerElement) answer = answerElement.textContent.trim();
-                    groups.push({ text, element: el, answer, answerElement });
-                }
+            // Attachment-only prompts are named after their files so they stay distinguishable
+            const attachmentOnly = !text;
+            if (attachmentOnly) {
+                const names = attachments.map((a) => a.name).filter(Boolean);
+                text = names.length ? names.join(", ") : label;
             }
 
-            const seen = new Set();
-            return groups.filter((g) => {
-                const lower = g.text.toLowerCase();
-                if (lower.startsWith("hello,")) return false;
-                if (lower === "[attachment]") return true;
-                if (seen.has(lower)) return false;
-                seen.add(lower);
-                return true;
-            });
-        },
+            turns.push({ text, element: target, source: el, attachments, attachmentOnly });
+        }
 
-        setupMonitor: function (onUpdate) {
-            TOC_PERF.createSharedMonitor(this, onUpdate);
-        },
-    },
+        // Pass 2: pair every prompt with its answer
+        const aiElements = answerRule.lookahead ? Array.from(document.querySelectorAll(answerRule.lookahead)) : [];
+        const userTargets = turns.map((t) => t.element);
+        const versions = def.versions;
 
-    // =========================================================================
-    // Perplexity Configuration
-    // =========================================================================
-    perplexity: {
-        name: "Perplexity",
-        host: "perplexity.ai",
-        platformKey: "perplexity",
-        storageKey: "perplexity-toc-position",
-        selectors: {
-            userMessage: "h1.group\\/query, div.group\\/query, .flex.flex-col.gap-1.pb-2",
-            sendButton: '[data-testid="submit-button"]',
-            promptInput: "#ask-input",
-        },
-        delays: {
-            pageLoad: 2000,
-            promptSubmission: 200,
-            chatChange: 1500,
-            stateCheck: 5000,
-        },
-
-        lastQueryCount: 0,
-        lastUrl: "",
-
-        getQueries: function () {
-            let queryElements = document.querySelectorAll("h1.group\\/query, div.group\\/query, .flex.flex-col.gap-1.pb-2");
-            const perplexityAiSelector = '.prose, [class*="prose"]';
-            let aiElements = Array.from(document.querySelectorAll(perplexityAiSelector));
-
-            let queries = Array.from(queryElements)
-                .map((el) => {
-                    let text = el.textContent.trim();
-                    if (!text) text = "[Attachment]";
-                    // Extract answer from the next sibling answer block
-                    let answer = "";
-                    let answerElement = null;
-                    try {
-                        const queryBlock = el.closest('[class*="group/query"]') || el.parentElement;
-                        if (queryBlock) {
-                            let next = queryBlock.nextElementSibling;
-                            if (next) {
-                                const prose = next.querySelector('.prose, [class*="prose"]');
-                                answerElement = prose || next;
-                                answer = prose ? prose.textContent.trim() : next.textContent.trim();
-                            }
-                        }
-                    } catch (e) { /* silently ignore */ }
+        return turns.map((t) => {
+            let answerElement = null;
+            try {
+                answerElement = TOC_ADAPTER.findSiblingAnswer(t.source, turnRule, answerRule);
+            } catch (e) { /* silently ignore */ }
 
-                    if (!answerElement) {
-                        answerElement = TOC_PERF.findAnswerElement(el, aiElements, Array.from(queryElements));
-                        if (answerElement) answer = answerElement.textContent.trim();
-                    }
+            if (!answerElement && answerRule.lookahead) {
+                answerElement = TOC_PERF.findAnswerElement(t.element, aiElements, userTargets);
+            }
 
-                    return { text, element: el, answer, answerElement };
-                })
-                .filter((q) => q.text);
-
-            if (queries.length === 0) {
-                const fallbackSelector = '[class*="pb-2"] .font-sans.text-textMain';
-                queryElements = document.querySelectorAll(fallbackSelector);
-                aiElements = Array.from(document.querySelectorAll(perplexityAiSelector));
-                queries = Array.from(queryElements)
-                    .map((el) => {
-                        let answer = "";
-                        let answerElement = TOC_PERF.findAnswerElement(el, aiElements, Array.from(queryElements));
-                        if (answerElement) answer = answerElement.textContent.trim();
-                        let text = el.textContent.trim();
-                        if (!text) text = "[Attachment]";
-                        return { text, element: el, answer, answerElement };
-                    })
-                    .filter((q) => q.text);
+            const answer = answerElement ? answerElement.textContent.trim() : "";
+            const query = { text: t.text, element: t.element, answer, answerElement, attachments: t.attachments };
+            if (t.attachmentOnly) query.attachmentOnly = true;
+            if (versions) {
+                const answerScope = answerElement &&
+                    ((versions.answerScope && answerElement.closest(versions.answerScope)) || answerElement.parentElement);
+                const promptScope = (versions.promptScope && t.source.closest(versions.promptScope))
+                    || TOC_ADAPTER.findTurnContainer(t.source, turnRule);
+                query.promptVersion = TOC_ADAPTER.readVersion(versions.selector, promptScope, answerScope);
+                query.answerVersion = TOC_ADAPTER.readVersion(versions.selector, answerScope, null);
             }
+            return TOC_ADAPTER.withAnswerStructure(query, strip);
+        });
+    },
 
-            return queries;
-        },
+    /**
+     * Sets the generation `status` of every turn: "streaming" (answer still arriving),
+     * "pending" (sent, no answer yet), "error", "stopped" or "complete". Only the last
+     * turn can be in flight by the stop button alone; markers are read around each answer.
+     */
+    assignStatus: function (def, queries) {
+        const rule = def.status || {};
+        const generating = !!(rule.stopButton && document.querySelector(rule.stopButton));
+        const marked = (el, selector) => !!(selector && el &&
+            (el.closest(selector) || el.querySelector(selector)));
+
+        queries.forEach((q, i) => {
+            const last = i === queries.length - 1;
+            let status = "complete";
+            if (marked(q.answerElement, rule.error)) status = "error";
+            else if (marked(q.answerElement, rule.stopped)) status = "stopped";
+            else if (marked(q.answerElement, rule.streaming)) status = "streaming";
+            else if (last && generating) status = q.answer ? "streaming" : "pending";
+            else if (last && !q.answerElement && rule.error) {
+                // A request that failed before any answer: the error shows up after the prompt
+                const errors = document.querySelectorAll(rule.error);
+                const after = Array.from(errors).some((n) => q.element.compareDocumentPosition(n) & Node.DOCUMENT_POSITION_FOLLOWING);
+                if (after) status = "error";
+            }
+            q.status = status;
+        });
+        return queries;
+    },
 
-        setupMonitor: function (onUpdate) {
-            TOC_PERF.createSharedMonitor(this, onUpdate, { minQueries: 2 });
-        },
+    isInFlight: function (query) {
+        return query.status === "streaming" || query.status === "pending";
     },
 
-    // =========================================================================
-    // Claude Configuration
-    // =========================================================================
-    claude: {
-        name: "Claude",
-        host: "claude.ai",
-        platformKey: "claude",
-        storageKey: "claude-toc-position",
-        selectors: {
-            userMessage: '[data-testid="user-message"], .human-message, [class*="human"], [class*="font-user-message"], .flex-wrap.justify-end',
-            sendButton: '[data-testid="send-button"], button[type="submit"]',
-            promptInput: '[contenteditable="true"], textarea',
-        },
-        delays: {
-            pageLoad: 2000,
-            promptSubmission: 500,
-            chatChange: 1500,
-            stateCheck: 5000,
-        },
-
-        lastQueryCount: 0,
-        lastUrl: "",
-
-        getQueries: function () {
-            const queries = [];
-
-            // Primary approach: walk each user turn via .mb-1.mt-6.group wrappers.
-            // This covers BOTH text messages and attachment-only messages in one pass.
-            const turnWrappers = Array.from(document.querySelectorAll('.mb-1.mt-6.group'));
-
-            if (turnWrappers.length > 0) {
-                const aiSelector = '.font-claude-response, .font-claude-response-body, [data-testid="ai-message"]';
-
-                for (const turn of turnWrappers) {
-                    const userMsgEl = turn.querySelector('[data-testid="user-message"]');
-                    const hasAttachment = !!turn.querySelector('[data-testid="file-thumbnail"]');
-
-                    // Skip turns that are neither a text message nor an attachment
-                    if (!userMsgEl && !hasAttachment) continue;
-
-                    let text = userMsgEl ? userMsgEl.textContent.trim() : "";
-                    if (!text) text = "[Attachment]";
-
-                    // The scroll target: prefer the text element, fall back to attachment container
-                    const element = userMsgEl || turn.querySelector('.flex-wrap.justify-end') || turn;
-
-                    // Navigate up: .mb-1.mt-6.group -> contents -> top-level turn div
-                    // nextElementSibling of the top-level turn div is the AI response div
-                    let answer = "";
-                    let answerElement = null;
-                    try {
-                        const topLevelTurn = turn.parentElement?.parentElement;
-                        const aiTurn = topLevelTurn?.nextElementSibling;
-                        if (aiTurn) {
-                            answerElement = aiTurn.querySelector(aiSelector);
-                            if (answerElement) answer = answerElement.textContent.trim();
-                        }
-                    } catch (e) { /* silently ignore */ }
-
-                    // Fallback: use findAnswerElement
-                    if (!answerElement) {
-                        const allAi = Array.from(document.querySelectorAll(aiSelector));
-                        const allUserEls = turnWrappers.map(t => t.querySelector('[data-testid="user-message"]') || t.querySelector('.flex-wrap.justify-end') || t).filter(Boolean);
-                        answerElement = TOC_PERF.findAnswerElement(element, allAi, allUserEls);
-                        if (answerElement) answer = answerElement.textContent.trim();
-                    }
+    /**
+     * Reads a "k / n" version switcher inside scope, skipping the answer's own scope when the
+     * prompt's scope contains it. Returns { index, count }, or null without a valid switcher.
+     */
+    readVersion: function (selector, scope, exclude) {
+        if (!scope || (exclude && exclude.contains(scope))) return null;
+        for (const node of scope.querySelectorAll(selector)) {
+            if (exclude && exclude.contains(node)) continue;
+            const match = node.textContent.match(VERSION_PATTERN);
+            if (!match) continue;
+            const index = parseInt(match[1], 10);
+            const count = parseInt(match[2], 10);
+            if (count > 1 && index >= 1 && index <= count) return { index, count };
+        }
+        return null;
+    },
 
-                    queries.push({ text, element, answer, answerElement });
-                }
+    // "2/3|1/2" - changes when the user switches or adds a version
+    getVersionSignature: function (query) {
+        const format = (version) => (version ? `${version.index}/${version.count}` : "");
+        return `${format(query.promptVersion)}|${format(query.answerVersion)}`;
+    },
 
-                if (queries.length > 0) {
-                    const seen = new Set();
-                    return queries.filter((q) => {
-                        const key = q.text.substring(0, 100);
-                        if (key === "[Attachment]") return true;
-                        if (seen.has(key)) return false;
-                        seen.add(key);
-                        return true;
-                    });
-                }
-            }
+    /**
+     * Attachment tiles of a user element: matches of `attachment.selector` (outermost only)
+     * plus uploaded images outside any tile. Decorative and hidden images are skipped.
+     */
+    findAttachmentTiles: function (def, el) {
+        const selector = def.attachment && def.attachment.selector;
+        const tiles = selector ? Array.from(el.querySelectorAll(selector)) : [];
+        const outermost = tiles.filter((tile) => !tiles.some((other) => other !== tile && other.contains(tile)));
+
+        const images = Array.from(el.querySelectorAll("img")).filter((img) =>
+            !outermost.some((tile) => tile.contains(img)) &&
+            !img.closest('button, svg, [aria-hidden="true"], [role="presentation"]') &&
+            img.getAttribute("role") !== "presentation" &&
+            img.getAttribute("alt") !== ""
+        );
+        return outermost.concat(images);
+    },
 
-            // Fallback for older/different Claude layouts: try selectors in order
-            const fallbackSelectors = [
-                '[data-testid="user-message"]',
-                '.human-message',
-                '[class*="font-user-message"]',
-                '.flex-wrap.justify-end',
-            ];
-            const claudeAiSelector = '[data-testid="ai-message"], .font-claude-response, .font-claude-response-body, .font-claude-message';
-            const aiElements = Array.from(document.querySelectorAll(claudeAiSelector));
-
-            for (const selector of fallbackSelectors) {
-                const elements = document.querySelectorAll(selector);
-                if (elements.length > 0) {
-                    const elementsArr = Array.from(elements);
-                    const fallbackQueries = elementsArr.map((el) => {
-                        let text = el.textContent.trim();
-                        if (!text) text = "[Attachment]";
-                        let answer = "";
-                        let answerElement = TOC_PERF.findAnswerElement(el, aiElements, elementsArr);
-                        if (answerElement) answer = answerElement.textContent.trim();
-                        return { text, element: el, answer, answerElement };
-                    }).filter((q) => q.text && q.text.length > 0);
-
-                    if (fallbackQueries.length > 0) {
-                        const seen = new Set();
-                        return fallbackQueries.filter((q) => {
-                            const key = q.text.substring(0, 100);
-                            if (key === "[Attachment]") return true;
-                            if (seen.has(key)) return false;
-                            seen.add(key);
-                            return true;
-                        });
-                    }
-                }
-            }
+    /**
+     * Reads what a tile shows about its file: { name, type, size, thumbnail }, null where
+     * the page does not say. The type is the lowercase extension, "image" for bare images.
+     */
+    readAttachment: function (def, tile) {
+        const rule = def.attachment || {};
+        const read = (selector) => {
+            const node = selector && tile.querySelector(selector);
+            return node ? node.textContent.trim() : "";
+        };
+        const image = tile.matches("img") ? tile : tile.querySelector("img");
+
+        // Visible text of the tile, one entry per text node: "report.pdf", "PDF", "1.2 MB"
+        const lines = [];
+        const walker = document.createTreeWalker(tile, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const line = node.textContent.trim();
+            if (line) lines.push(line);
+        }
 
-            return [];
-        },
+        const size = read(rule.sizeSelector) || lines.find((line) => ATTACHMENT_SIZE_PATTERN.test(line)) || null;
+        const name = read(rule.nameSelector)
+            || tile.getAttribute("title")
+            || tile.getAttribute("aria-label")
+            || lines.find((line) => line !== size && ATTACHMENT_EXTENSION_PATTERN.test(line))
+            || lines.find((line) => line !== size)
+            || (image && image.getAttribute("alt"))
+            || null;
+
+        const extension = name && name.match(ATTACHMENT_EXTENSION_PATTERN);
+        const type = extension ? extension[1].toLowerCase() : image ? "image" : null;
+        const thumbnail = image && (image.currentSrc || image.getAttribute("src")) || null;
+
+        return {
+            name: name ? name.replace(/\s+/g, " ") : null,
+            type,
+            size: size ? size.match(ATTACHMENT_SIZE_PATTERN)[0] : null,
+            thumbnail,
+        };
+    },
 
-        setupMonitor: function (onUpdate) {
-            TOC_PERF.createSharedMonitor(this, onUpdate);
-        },
+    // Text of an element minus its attachment tiles, so file names do not leak into the prompt
+    getTextOutside: function (el, tiles) {
+        if (tiles.length === 0) return el.textContent;
+        let text = "";
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (!tiles.some((tile) => tile.contains(node))) text += node.textContent;
+        }
+        return text;
     },
 
+    /**
+     * Adds the structured views of the answer next to the plain `answer`:
+     * `answerMarkdown` (see TOC_MARKDOWN.fromElement), `answerOutline` (its headings) and
+     * `answerCode` (its code blocks).
+     * Computed on first read (exports, previews, outline rows) and cached per element until
+     * its text changes, so scans during streaming stay cheap.
+     */
+    withAnswerStructure: function (query, strip) {
+        Object.defineProperties(query, {
+            answerMarkdown: {
+                enumerable: true,
+                get: () => TOC_ADAPTER.getAnswerStructure(query, "markdown", strip),
+            },
+            answerOutline: {
+                enumerable: true,
+                get: () => TOC_ADAPTER.getAnswerStructure(query, "outline", strip),
+            },
+            answerCode: {
+                enumerable: true,
+                get: () => TOC_ADAPTER.getAnswerStructure(query, "code", strip),
+            },
+        });
+        return query;
+    },
 
-    // =========================================================================
-    // Grok Configuration
-    // =========================================================================
-    grok: {
-        name: "Grok",
-        host: "grok.com",
-        platformKey: "grok",
-        storageKey: "grok-toc-position",
-        selectors: {
-            userMessage: ".message-bubble.bg-surface-l1, .user-message, [data-testid='user-message'], .message-user",
-            sendButton: "button[aria-label='Submit'], [data-testid='send-button']",
-            promptInput: "div.tiptap.ProseMirror, textarea[aria-label='Ask Grok anything'], textarea, [contenteditable='true']",
-        },
-        delays: {
-            pageLoad: 2500,
-            promptSubmission: 500,
-            chatChange: 1500,
-            stateCheck: 5000,
-        },
-
-        lastQueryCount: 0,
-        lastUrl: "",
-
-        getQueries: function () {
-            const possibleSelectors = this.selectors.userMessage.split(",").map(s => s.trim());
-            let queries = [];
-            const grokAiSelector = '.message-bubble:not(.bg-surface-l1), [class*="assistant"]';
-            const aiElements = Array.from(document.querySelectorAll(grokAiSelector));
-
-            for (const selector of possibleSelectors) {
-                const elements = document.querySelectorAll(selector);
-                if (elements.length > 0) {
-                    const elementsArr = Array.from(elements);
-                    queries = elementsArr
-                        .map((el) => {
-                            let text = el.textContent.trim();
-                            if (!text) text = "[Attachment]";
-                            // Extract AI answer: find the next non-user message sibling
-                            let answer = "";
-                            let answerElement = null;
-                            try {
-                                const msgContainer = el.closest('[class*="message"], [class*="bubble"]') || el.parentElement;
-                                if (msgContainer) {
-                                    let next = msgContainer.nextElementSibling;
-                                    while (next) {
-                                        // Skip if it's another user message
-                                        const isUser = next.classList.contains('bg-surface-l1') || next.querySelector('.bg-surface-l1');
-                                        if (isUser) break;
-                                        const responseText = next.textContent.trim();
-                                        if (responseText) {
-                                            answerElement = next;
-                                            answer = responseText;
-                                            break;
-                                        }
-                                        next = next.nextElementSibling;
-                                    }
-                                }
-                            } catch (e) { /* silently ignore */ }
-
-                            if (!answerElement) {
-                                answerElement = TOC_PERF.findAnswerElement(el, aiElements, elementsArr);
-                                if (answerElement) answer = answerElement.textContent.trim();
-                            }
-
-                            return { text, element: el, answer, answerElement };
-                        })
-                        .filter((q) => q.text && q.text.length > 0);
-                    if (queries.length > 0) break;
-                }
+    // Answer element -> { source, markdown, outline, code }
+    structureCache: new WeakMap(),
+
+    getAnswerStructure: function (query, view, strip) {
+        const element = query.answerElement;
+        if (!element) return view === "markdown" ? "" : [];
+
+        let cached = TOC_ADAPTER.structureCache.get(element);
+        if (!cached || cached.source !== query.answer) {
+            cached = { source: query.answer };
+            TOC_ADAPTER.structureCache.set(element, cached);
+        }
+        if (!(view in cached)) {
+            try {
+                if (view === "markdown") cached[view] = TOC_MARKDOWN.fromElement(element, { strip });
+                else if (view === "outline") cached[view] = TOC_MARKDOWN.getOutline(element, { strip });
+                else cached[view] = TOC_MARKDOWN.getCodeBlocks(element, { strip });
+            } catch (e) {
+                console.debug(e);
+                cached[view] = view === "markdown" ? query.answer : [];
             }
+        }
+        return cached[view];
+    },
 
-            const seen = new Set();
-            return queries.filter((q) => {
-                const key = q.text.substring(0, 100);
-                if (key === "[Attachment]") return true;
-                if (seen.has(key)) return false;
-                seen.add(key);
-                return true;
-            });
-        },
+    // Walks up to the turn container, then scans its following siblings for the answer
+    findTurnContainer: function (el, turnRule) {
+        if (turnRule.selector) {
+            return el.closest(turnRule.selector) || el.parentElement;
+        }
+        let container = el;
+        for (let i = 0; i < (turnRule.depth || 1) && container; i++) {
+            container = container.parentElement;
+        }
+        return container;
+    },
 
-        setupMonitor: function (onUpdate) {
-            TOC_PERF.createSharedMonitor(this, onUpdate);
-        },
+    findSiblingAnswer: function (el, turnRule, answerRule) {
+        if (!answerRule.selector && !answerRule.stopSelector) return null;
+
+        const container = TOC_ADAPTER.findTurnContainer(el, turnRule);
+        const stop = answerRule.stopSelector;
+        const isStop = (node) => !!stop && (node.matches(stop) || !!node.querySelector(stop));
+
+        let next = container ? container.nextElementSibling : null;
+        let scanned = 0;
+        while (next && (!answerRule.maxSiblings || scanned < answerRule.maxSiblings)) {
+            if (answerRule.selector) {
+                const match = next.matches(answerRule.selector) ? next : next.querySelector(answerRule.selector);
+                if (match) return match;
+                if (answerRule.useSibling) return next;
+                if (isStop(next)) break;
+            } else {
+                if (isStop(next)) break;
+                if (next.textContent.trim()) return next;
+            }
+            next = next.nextElementSibling;
+            scanned++;
+        }
+        return null;
+    },
+
+    /**
+     * Gives every turn a stable `key`: the platform message id when the adapter
+     * declares one, else a hash of the prompt text plus its occurrence count, so
+     * keys survive re-renders, dedupe and page reloads. Editing a prompt changes its
+     * hash: the monitor then reports the new key with the old one as `previousKey`.
+     */
+    assignKeys: function (def, queries) {
+        const attribute = def.messageId && def.messageId.attribute;
+        const occurrences = new Map();
+        const used = new Set();
+
+        queries.forEach((q) => {
+            let key = null;
+            if (attribute) {
+                const selector = `[${attribute}]`;
+                const holder = q.element.closest(selector) || q.element.querySelector(selector);
+                const id = holder && holder.getAttribute(attribute);
+                if (id && !used.has(`m-${id}`)) key = `m-${id}`;
+            }
+            if (!key) {
+                const base = `h-${TOC_ADAPTERS.hash(q.text)}`;
+                const n = (occurrences.get(base) || 0) + 1;
+                occurrences.set(base, n);
+                key = n === 1 ? base : `${base}-${n}`;
+            }
+            used.add(key);
+            q.key = key;
+        });
+        return queries;
+    },
+
+    // Keys derived from the prompt text (see assignKeys) change when the prompt is edited
+    isTextKey: function (key) {
+        return key.startsWith("h-");
+    },
+
+    dedupe: function (def, queries) {
+        const rule = def.dedupe || { by: "none" };
+        const label = (def.attachment && def.attachment.label) || "[Attachment]";
+        const ignore = (rule.ignorePrefixes || []).map((p) => p.toLowerCase());
+        const seen = new Set();
+
+        return queries.filter((q) => {
+            const lower = q.text.toLowerCase();
+            if (ignore.some((p) => lower.startsWith(p))) return false;
+            if (q.attachmentOnly || q.text === label || rule.by === "none") return true;
+
+            const key = rule.by === "lowercase" ? lower : q.text.substring(0, rule.length || 100);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
     },
 };
 
+// =============================================================================
+// Site Configurations - Built-in adapters, keyed by id
+// =============================================================================
+
+const SITES = {};
+BUILTIN_ADAPTERS.forEach((def) => {
+    SITES[def.id] = TOC_ADAPTER.createSite(def);
+});
+
 // =============================================================================
 // Router - Detect current site and initialize
 // =============================================================================
 
 (function () {
-    let activeAdapter = null;
+    const api = (typeof chrome !== 'undefined' && chrome.storage) ? chrome : (typeof browser !== 'undefined' && browser.storage) ? browser : null;
+
+    const start = (customAdapters) => {
+        // A user-defined adapter for this host takes precedence over the built-in one
+        const custom = TOC_ADAPTERS.findForHost(
+            (customAdapters || []).filter((def) => TOC_ADAPTERS.validate(def).length === 0),
+            location.hostname
+        );
+
+        let activeAdapter = null;
+        if (custom) {
+            activeAdapter = TOC_ADAPTER.createSite(custom);
+        } else {
+            for (const key in SITES) {
+                if (TOC_ADAPTERS.matchesHost(SITES[key].definition, location.hostname)) {
+                    activeAdapter = SITES[key];
+                    break;
+                }
+            }
+        }
 
-    for (const key in SITES) {
-        const site = SITES[key];
-        if (location.host.includes(site.host)) {
-            activeAdapter = site;
-            break;
+        if (activeAdapter) {
+            new window.TOC.UI(activeAdapter);
         }
-    }
+    };
 
-    if (activeAdapter) {
-        new window.TOC.UI(activeAdapter);
+    if (api && api.storage && api.storage.local) {
+        api.storage.local.get({ [CUSTOM_ADAPTERS_KEY]: [] }, (items) => start(items[CUSTOM_ADAPTERS_KEY]));
+    } else {
+        start([]);
     }
 })();
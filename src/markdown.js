@@ -0,0 +1,520 @@
+/**
+ * AI Chat TOC - Markdown Extraction
+ * Turns a rendered answer back into Markdown: fenced code blocks with their
+ * language, nested lists, tables, links, emphasis and math survive, while the
+ * platform's UI chrome (copy buttons, icons, "Thinking" toggles) is dropped.
+ * Also extracts the outline (section headings) and the code blocks of an answer,
+ * and renders such Markdown back to HTML for transcripts shown outside the chat site.
+ * Shared by the content script and the extension pages.
+ */
+
+// Always dropped: controls, icons and screen-reader-only text. Adapters add their own via answer.strip
+const MARKDOWN_STRIP_SELECTOR = [
+    "button", "svg", "script", "style", "noscript", "template", "textarea", "input", "select",
+    "[role='button']", "[role='toolbar']", "[aria-hidden='true']", "[hidden]", ".sr-only",
+].join(", ");
+
+// Longer bold paragraphs are emphasis, not headings
+const MARKDOWN_PSEUDO_HEADING_LENGTH = 80;
+
+const MARKDOWN_BLOCK_TAGS = new Set([
+    "p", "div", "section", "article", "header", "footer", "main", "aside", "figure",
+    "figcaption", "details", "summary", "dl", "dt", "dd", "address",
+]);
+
+// toHTML(): a "- item" / "1. item" line, and the divider row under a table header
+const MARKDOWN_LIST_ITEM = /^( *)([-*+]|\d+[.)]) +/;
+const MARKDOWN_TABLE_DIVIDER = /^ *\|? *:?-{3,}:? *(\| *:?-{3,}:? *)*\|? *$/;
+
+const TOC_MARKDOWN = {
+    /**
+     * Converts an element's content to Markdown.
+     * @param {Element} element - The rendered answer.
+     * @param {object} [options]
+     * @param {string} [options.strip] - Selector of extra platform chrome to leave out.
+     * @returns {string}
+     */
+    fromElement: function (element, options = {}) {
+        const context = {
+            strip: options.strip ? `${MARKDOWN_STRIP_SELECTOR}, ${options.strip}` : MARKDOWN_STRIP_SELECTOR,
+            // Pre-formatted output (code, lists, tables) is parked here, out of reach of whitespace cleanup
+            blocks: [],
+        };
+        return TOC_MARKDOWN.tidy(TOC_MARKDOWN.convertChildren(element, context), context);
+    },
+
+    /**
+     * Section headings of an answer: h1-h4, plus paragraphs made of a single bold
+     * line ("**Step 2: Deploy**"), which chat models often use as headings.
+     * @param {Element} element - The rendered answer.
+     * @param {object} [options]
+     * @param {string} [options.strip] - Selector of platform chrome whose headings are skipped.
+     * @returns {{text: string, depth: number, element: Element}[]} In document order; depth
+     *     0 is the outermost heading level used in this answer.
+     */
+    getOutline: function (element, options = {}) {
+        const strip = options.strip ? `${MARKDOWN_STRIP_SELECTOR}, ${options.strip}` : MARKDOWN_STRIP_SELECTOR;
+        const items = [];
+
+        element.querySelectorAll("h1, h2, h3, h4, p").forEach((el) => {
+            const chrome = el.closest(strip);
+            if (chrome && element.contains(chrome)) return;
+
+            const text = el.textContent.replace(/\s+/g, " ").trim().replace(/:$/, "");
+            if (!text) return;
+
+            if (el.tagName !== "P") {
+                items.push({ text, level: Number(el.tagName[1]), element: el });
+                return;
+            }
+            // Bold-line pseudo-heading, ranked below every real heading
+            const only = el.children.length === 1 ? el.firstElementChild : null;
+            if (only && /^(STRONG|B)$/.test(only.tagName) && only.textContent.trim() === el.textContent.trim()
+                && text.length <= MARKDOWN_PSEUDO_HEADING_LENGTH) {
+                items.push({ text, level: 5, element: el });
+            }
+        });
+
+        const levels = Array.from(new Set(items.map((item) => item.level))).sort((a, b) => a - b);
+        return items.map(({ text, level, element: el }) => ({ text, depth: levels.indexOf(level), element: el }));
+    },
+
+    /**
+     * Markdown without its syntax, for one-line previews and plain text exports.
+     * Code block contents are kept as they are.
+     */
+    toPlainText: function (markdown) {
+        let fence = null; // { marker, quoted } inside a fenced code block
+        const lines = markdown.split("\n").map((line) => {
+            const quoted = /^ *>/.test(line);
+            if (!fence || fence.quoted) line = line.replace(/^ *> ?/, "");
+
+            const marker = line.match(/^ *(`{3,}|~{3,})/);
+            if (fence) {
+                if (!marker || marker[1][0] !== fence.marker[0] || marker[1].length < fence.marker.length) return line;
+                fence = null;
+                return "";
+            }
+            if (marker) {
+                fence = { marker: marker[1], quoted };
+                return "";
+            }
+
+            return line
+                .replace(/^ {0,3}#{1,6} +/, "")
+                .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+                .replace(/<(https?:[^>\s]+)>/g, "$1")
+                .replace(/\*\*|~~/g, "")
+                .replace(/(^|\W)_([^_\n]+)_(?=\W|$)/g, "$1$2")
+                .replace(/(?<!`)(`+)(?!`)(.+?)(?<!`)\1(?!`)/g, (_, ticks, code) => code.trim());
+        });
+        return lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+    },
+
+    convertChildren: function (node, context) {
+        let out = "";
+        node.childNodes.forEach((child) => {
+            out += TOC_MARKDOWN.convertNode(child, context);
+        });
+        return out;
+    },
+
+    convertNode: function (node, context) {
+        if (node.nodeType === Node.TEXT_NODE) return node.data.replace(/\s+/g, " ");
+        if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+        const el = node;
+        // KaTeX renders math twice (MathML + aria-hidden HTML); the TeX source is in the MathML annotation
+        if (el.matches(".katex-display, .katex")) return TOC_MARKDOWN.convertMath(el, context);
+        if (el.matches(context.strip)) return "";
+
+        const tag = el.tagName.toLowerCase();
+        switch (tag) {
+            case "h1": case "h2": case "h3": case "h4": case "h5": case "h6": {
+                const text = TOC_MARKDOWN.inline(el, context);
+                return text ? `\n\n${"#".repeat(Number(tag[1]))} ${text}\n\n` : "";
+            }
+            case "br":
+                return "\n";
+            case "hr":
+                return "\n\n---\n\n";
+            case "pre":
+                return TOC_MARKDOWN.convertCodeBlock(el, context);
+            case "code":
+                return TOC_MARKDOWN.convertInlineCode(el.textContent);
+            case "strong": case "b":
+                return TOC_MARKDOWN.wrap(TOC_MARKDOWN.convertChildren(el, context), "**");
+            case "em": case "i":
+                return TOC_MARKDOWN.wrap(TOC_MARKDOWN.convertChildren(el, context), "_");
+            case "del": case "s": case "strike":
+                return TOC_MARKDOWN.wrap(TOC_MARKDOWN.convertChildren(el, context), "~~");
+            case "a":
+                return TOC_MARKDOWN.convertLink(el, context);
+            case "img":
+                return TOC_MARKDOWN.convertImage(el);
+            case "ul": case "ol":
+                return TOC_MARKDOWN.convertList(el, context);
+            case "table":
+                return TOC_MARKDOWN.convertTable(el, context);
+            case "blockquote": {
+                const body = TOC_MARKDOWN.tidy(TOC_MARKDOWN.convertChildren(el, context), context);
+                return body ? TOC_MARKDOWN.store(body.replace(/^(.*)$/gm, (line) => (line ? `> ${line}` : ">")), context) : "";
+            }
+            default: {
+                const content = TOC_MARKDOWN.convertChildren(el, context);
+                return MARKDOWN_BLOCK_TAGS.has(tag) ? `\n\n${content}\n\n` : content;
+            }
+        }
+    },
+
+    // Single-line content (headings, table cells)
+    inline: function (el, context) {
+        return TOC_MARKDOWN.tidy(TOC_MARKDOWN.convertChildren(el, context), context).replace(/\s*\n\s*/g, " ");
+    },
+
+    // Emphasis markers hug the text: "**bold** " rather than "**bold **"
+    wrap: function (content, marker) {
+        const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!match[2] || match[2].includes("\n")) return content;
+        return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+    },
+
+    convertInlineCode: function (text) {
+        if (!text) return "";
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+        const fence = "`".repeat(longest + 1);
+        const pad = text.startsWith("`") || text.endsWith("`") ? " " : "";
+        return `${fence}${pad}${text}${pad}${fence}`;
+    },
+
+    /**
+     * Code blocks of an answer.
+     * @param {Element} element - The rendered answer.
+     * @param {object} [options]
+     * @param {string} [options.strip] - Selector of platform chrome whose code is skipped.
+     * @returns {{language: string, code: string, element: Element}[]} In document order;
+     *     language is lowercase, "" when the block is untagged.
+     */
+    getCodeBlocks: function (element, options = {}) {
+        const blocks = [];
+        element.querySelectorAll("pre").forEach((pre) => {
+            const chrome = options.strip && pre.closest(options.strip);
+            if (chrome && element.contains(chrome)) return;
+            if (pre.parentElement.closest("pre")) return;
+
+            const code = TOC_MARKDOWN.getCodeText(pre);
+            if (code.trim()) blocks.push({ language: TOC_MARKDOWN.getCodeLanguage(pre), code, element: pre });
+        });
+        return blocks;
+    },
+
+    getCodeText: function (pre) {
+        return (pre.querySelector("code") || pre).textContent.replace(/^(?:[ \t]*\n)+/, "").replace(/\n$/, "");
+    },
+
+    // Language from the highlighter's class ("language-python", "lang-js") or a data attribute
+    getCodeLanguage: function (pre) {
+        let language = "";
+        for (let el = pre.querySelector("code") || pre; el && !language; el = el === pre ? null : el.parentElement) {
+            const match = (el.getAttribute("class") || "").match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+            language = (match && match[1]) || el.getAttribute("data-language") || "";
+        }
+        return language.toLowerCase();
+    },
+
+    convertCodeBlock: function (pre, context) {
+        const text = TOC_MARKDOWN.getCodeText(pre);
+        const language = TOC_MARKDOWN.getCodeLanguage(pre);
+
+        const longest = Math.max(0, ...(text.match(/^`{3,}/gm) || []).map((run) => run.length));
+        const fence = "`".repeat(Math.max(3, longest + 1));
+        return TOC_MARKDOWN.store(`${fence}${language}\n${text}\n${fence}`, context);
+    },
+
+    convertLink: function (a, context) {
+        const text = TOC_MARKDOWN.convertChildren(a, context).trim();
+        const href = a.getAttribute("href");
+        if (!text || !href || /^javascript:/i.test(href)) return text;
+
+        const url = a.href || href;
+        return text === url || text === href ? `<${url}>` : `[${text}](${url})`;
+    },
+
+    convertImage: function (img) {
+        const alt = (img.getAttribute("alt") || "").trim();
+        const src = img.getAttribute("src") || "";
+        if (!src || src.startsWith("data:")) return alt;
+        return `![${alt}](${img.src || src})`;
+    },
+
+    convertMath: function (el, context) {
+        const annotation = el.querySelector('annotation[encoding="application/x-tex"]');
+        if (!annotation) return "";
+        const tex = annotation.textContent.trim();
+        return el.matches(".katex-display")
+            ? TOC_MARKDOWN.store(`$$\n${tex}\n$$`, context)
+            : `$${tex}$`;
+    },
+
+    convertList: function (list, context) {
+        const ordered = list.tagName.toLowerCase() === "ol";
+        let number = ordered ? parseInt(list.getAttribute("start"), 10) || 1 : 0;
+
+        const items = Array.from(list.children).filter((child) => child.tagName.toLowerCase() === "li").map((li) => {
+            const marker = ordered ? `${number++}. ` : "- ";
+            const checkbox = li.querySelector(":scope > input[type='checkbox'], :scope > p > input[type='checkbox']");
+            const task = checkbox ? (checkbox.checked ? "[x] " : "[ ] ") : "";
+
+            // Items with several paragraphs stay loose, the rest are kept tight around nested lists
+            const loose = li.querySelectorAll(":scope > p").length > 1;
+            const body = TOC_MARKDOWN.tidy(TOC_MARKDOWN.convertChildren(li, context), context, !loose);
+            // Continuation lines line up with the text after the marker
+            const indent = " ".repeat(marker.length);
+            return marker + task + body.replace(/\n(?=.)/g, `\n${indent}`);
+        });
+
+        return items.length ? TOC_MARKDOWN.store(items.join("\n"), context) : "";
+    },
+
+    convertTable: function (table, context) {
+        const rows = Array.from(table.querySelectorAll("tr")).filter((tr) => tr.closest("table") === table);
+        if (rows.length === 0) return "";
+
+        const cellText = (cell) => TOC_MARKDOWN.inline(cell, context).replace(/\|/g, "\\|");
+        const matrix = rows.map((tr) => Array.from(tr.children).filter((c) => /^t[hd]$/i.test(c.tagName)));
+        const width = Math.max(...matrix.map((cells) => cells.length));
+        if (width === 0) return "";
+
+        const line = (values) => `| ${Array.from({ length: width }, (_, i) => values[i] || "").join(" | ")} |`;
+        const alignments = Array.from({ length: width }, (_, i) => {
+            const cell = matrix[0][i];
+            const align = cell && (cell.getAttribute("align") || cell.style.textAlign);
+            return align === "center" ? ":---:" : align === "right" ? "---:" : align === "left" ? ":---" : "---";
+        });
+
+        const lines = [line(matrix[0].map(cellText)), line(alignments)];
+        matrix.slice(1).forEach((cells) => lines.push(line(cells.map(cellText))));
+        return TOC_MARKDOWN.store(lines.join("\n"), context);
+    },
+
+    // =========================================================================
+    // Markdown -> HTML
+    // =========================================================================
+
+    /**
+     * Renders Markdown as produced by fromElement() to HTML: headings, paragraphs, fenced
+     * code (language as a "language-*" class), math blocks, nested and task lists, tables,
+     * quotes, links and emphasis. All text is escaped; links keep http(s) and mailto targets
+     * only, and images become links so the output loads nothing.
+     * @param {string} markdown
+     * @param {boolean} [tight] - Paragraphs without <p> (tight list items).
+     * @returns {string}
+     */
+    toHTML: function (markdown, tight = false) {
+        const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+        const escape = TOC_MARKDOWN.escapeHTML;
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/);
+            if (fence) {
+                const body = [];
+                for (i++; i < lines.length && !TOC_MARKDOWN.closesFence(lines[i], fence[1]); i++) body.push(lines[i]);
+                i++;
+                const language = fence[2] ? ` class="language-${escape(fence[2].toLowerCase())}"` : "";
+                blocks.push(`<pre><code${language}>${escape(body.join("\n"))}</code></pre>`);
+                continue;
+            }
+
+            if (/^ {0,3}\$\$\s*$/.test(line)) {
+                const body = [];
+                for (i++; i < lines.length && !/^ {0,3}\$\$\s*$/.test(lines[i]); i++) body.push(lines[i]);
+                i++;
+                blocks.push(`<pre class="math">${escape(body.join("\n"))}</pre>`);
+                continue;
+            }
+
+            const heading = line.match(/^ {0,3}(#{1,6}) +(.*?)(?: +#+)? *$/);
+            if (heading) {
+                const level = heading[1].length;
+                blocks.push(`<h${level}>${TOC_MARKDOWN.inlineHTML(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^ {0,3}([-*_])( *\1){2,} *$/.test(line)) {
+                blocks.push("<hr>");
+                i++;
+                continue;
+            }
+
+            if (/^ {0,3}>/.test(line)) {
+                const body = [];
+                for (; i < lines.length && /^ {0,3}>/.test(lines[i]); i++) body.push(lines[i].replace(/^ {0,3}> ?/, ""));
+                blocks.push(`<blockquote>${TOC_MARKDOWN.toHTML(body.join("\n"))}</blockquote>`);
+                continue;
+            }
+
+            if (line.includes("|") && i + 1 < lines.length && MARKDOWN_TABLE_DIVIDER.test(lines[i + 1])) {
+                const rows = [];
+                for (; i < lines.length && lines[i].includes("|") && lines[i].trim(); i++) rows.push(lines[i]);
+                blocks.push(TOC_MARKDOWN.tableHTML(rows));
+                continue;
+            }
+
+            if (MARKDOWN_LIST_ITEM.test(line)) {
+                i = TOC_MARKDOWN.listHTML(lines, i, blocks);
+                continue;
+            }
+
+            // Paragraph: up to a blank line or the start of another block; single newlines are <br>
+            const body = [];
+            for (; i < lines.length && lines[i].trim(); i++) {
+                if (body.length && TOC_MARKDOWN.startsBlock(lines[i])) break;
+                body.push(TOC_MARKDOWN.inlineHTML(lines[i].trim()));
+            }
+            blocks.push(tight ? body.join("<br>") : `<p>${body.join("<br>")}</p>`);
+        }
+
+        return blocks.join("\n");
+    },
+
+    closesFence: function (line, marker) {
+        const match = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+        return !!match && match[1][0] === marker[0] && match[1].length >= marker.length;
+    },
+
+    startsBlock: function (line) {
+        return /^ {0,3}(`{3,}|~{3,}|#{1,6} |>|\$\$\s*$)/.test(line) || MARKDOWN_LIST_ITEM.test(line);
+    },
+
+    /**
+     * Renders the list starting at lines[start] into blocks.
+     * @returns {number} Index of the first line after the list.
+     */
+    listHTML: function (lines, start, blocks) {
+        const first = lines[start].match(MARKDOWN_LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let i = start;
+
+        for (; i < lines.length; i++) {
+            const line = lines[i];
+            const marker = line.match(MARKDOWN_LIST_ITEM);
+            if (marker && marker[1].length === indent && /\d/.test(marker[2]) === ordered) {
+                items.push({ lines: [line.slice(marker[0].length)], width: marker[0].length, loose: false });
+                continue;
+            }
+
+            const item = items[items.length - 1];
+            const lineIndent = line.match(/^ */)[0].length;
+            if (!line.trim()) {
+                // A blank line continues the list only if more of it follows
+                const next = lines.slice(i + 1).find((l) => l.trim());
+                const nextIndent = next ? next.match(/^ */)[0].length : -1;
+                const nextMarker = next && next.match(MARKDOWN_LIST_ITEM);
+                if (nextIndent > indent || (nextMarker && nextMarker[1].length === indent)) {
+                    item.lines.push("");
+                    item.loose = true;
+                    continue;
+                }
+                break;
+            }
+            if (lineIndent <= indent) break;
+            item.lines.push(line.slice(Math.min(lineIndent, item.width)));
+        }
+
+        const startNumber = ordered ? parseInt(first[2], 10) : 1;
+        const tag = ordered ? "ol" : "ul";
+        const attributes = ordered && startNumber !== 1 ? ` start="${startNumber}"` : "";
+        // Blank lines between any of the items make the whole list loose
+        const loose = items.some((item) => item.loose);
+        const body = items.map((item) => {
+            let content = item.lines.join("\n");
+            let checkbox = "";
+            const task = content.match(/^\[([ xX])\] /);
+            if (task) {
+                checkbox = `<input type="checkbox" disabled${task[1] === " " ? "" : " checked"}> `;
+                content = content.slice(task[0].length);
+            }
+            return `<li>${checkbox}${TOC_MARKDOWN.toHTML(content, !loose)}</li>`;
+        });
+        blocks.push(`<${tag}${attributes}>\n${body.join("\n")}\n</${tag}>`);
+        return i;
+    },
+
+    tableHTML: function (rows) {
+        const cells = (row) => row.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "")
+            .split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, "|"));
+        const alignments = cells(rows[1]).map((cell) =>
+            /^:-+:$/.test(cell) ? "center" : /-:$/.test(cell) ? "right" : /^:-/.test(cell) ? "left" : ""
+        );
+        const line = (row, tag) => "<tr>" + alignments.map((align, i) => {
+            const style = align ? ` style="text-align: ${align}"` : "";
+            return `<${tag}${style}>${TOC_MARKDOWN.inlineHTML(row[i] || "")}</${tag}>`;
+        }).join("") + "</tr>";
+
+        const body = rows.slice(2).map((row) => line(cells(row), "td")).join("\n");
+        return `<table>\n<thead>${line(cells(rows[0]), "th")}</thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+    },
+
+    inlineHTML: function (text) {
+        const escape = TOC_MARKDOWN.escapeHTML;
+        // Code spans and links are parked first: nothing inside them is emphasis
+        const parked = [];
+        const park = (html) => `\u0000${parked.push(html) - 1}\u0000`;
+        const link = (href, label) => /^(https?:|mailto:)/i.test(href)
+            ? park(`<a href="${escape(href)}" target="_blank" rel="noopener">${label}</a>`)
+            : label;
+
+        let html = text.replace(/(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => park(`<code>${escape(code.trim())}</code>`));
+        html = escape(html)
+            // Targets may hold one level of parentheses: (https://en.wikipedia.org/wiki/Rust_(language))
+            .replace(/!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_, alt, src) => link(TOC_MARKDOWN.unescapeHTML(src), alt || "image"))
+            .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_, label, href) => link(TOC_MARKDOWN.unescapeHTML(href), label))
+            .replace(/&lt;((?:https?|mailto):[^\s]+?)&gt;/g, (_, url) => link(TOC_MARKDOWN.unescapeHTML(url), url))
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+            .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?=\W|$)/g, "$1<em>$2</em>")
+            .replace(/(^|[^*\w])\*(?=\S)([^*\n]*?\S)\*(?!\*)/g, "$1<em>$2</em>");
+        return html.replace(/\u0000(\d+)\u0000/g, (_, index) => parked[index]);
+    },
+
+    escapeHTML: function (text) {
+        return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+    },
+
+    unescapeHTML: function (text) {
+        return text.replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => ({ amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" })[name]);
+    },
+
+    // Parks pre-formatted Markdown as a placeholder block, restored verbatim by tidy()
+    store: function (markdown, context) {
+        context.blocks.push(markdown);
+        return `\n\n\u0000${context.blocks.length - 1}\u0000\n\n`;
+    },
+
+    // Collapses the whitespace of converted HTML into Markdown paragraphs (no blank lines when tight)
+    tidy: function (text, context, tight = false) {
+        return text
+            .replace(/[ \t]+/g, " ")
+            .replace(/ ?\n ?/g, "\n")
+            .replace(/\n{3,}/g, "\n\n")
+            .replace(/\n\n/g, tight ? "\n" : "\n\n")
+            .trim()
+            .replace(/\u0000(\d+)\u0000/g, (_, index) => context.blocks[index]);
+    },
+};
+
+// Make it available to the content script and the extension pages
+if (typeof module !== 'undefined') {
+    module.exports = { MARKDOWN_STRIP_SELECTOR, TOC_MARKDOWN };
+}
@@ -27,6 +27,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const index = Array.from(tabs).indexOf(activeTab);
         const gap = 4;
         const x = index * (activeTab.offsetWidth + gap);
+        indicator.style.width = `${activeTab.offsetWidth}px`;
         indicator.style.transform = `translateX(${x}px)`;
     }
 
@@ -63,7 +64,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadSettings();
 
     // ── Mode toggle ──────────────────────────────────────────────
-    const modeBtns = document.querySelectorAll('.mode-option');
+    const modeBtns = document.querySelectorAll('.mode-option[data-mode]');
 
     function applyDarkMode() {
         let isDark = false;
@@ -113,6 +114,94 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    // ── Answer outline toggle ────────────────────────────────────
+    const showOutlineToggle = document.getElementById('toggle-show-outline');
+
+    function refreshShowOutlineUI() {
+        if (showOutlineToggle) {
+            showOutlineToggle.checked = !!settings.showOutline;
+        }
+    }
+
+    if (showOutlineToggle) {
+        showOutlineToggle.addEventListener('change', () => {
+            settings.showOutline = showOutlineToggle.checked;
+            saveKey('showOutline', settings.showOutline);
+        });
+    }
+
+    // ── Density (tocSize) ────────────────────────────────────────
+    const sizeBtns = document.querySelectorAll('.mode-option[data-size]');
+
+    function refreshSizeUI() {
+        sizeBtns.forEach(btn =>
+            btn.classList.toggle('active', btn.dataset.size === settings.tocSize)
+        );
+    }
+
+    sizeBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            settings.tocSize = btn.dataset.size;
+            saveKey('tocSize', settings.tocSize);
+            refreshSizeUI();
+        });
+    });
+
+    // ── Docked mode toggle ───────────────────────────────────────
+    const dockedToggle = document.getElementById('toggle-docked');
+
+    function refreshDockedUI() {
+        if (dockedToggle) {
+            dockedToggle.checked = settings.displayMode === 'docked';
+        }
+    }
+
+    // Needs the user gesture of the toggle click
+    function openSidePanel() {
+        if (typeof chrome !== 'undefined' && chrome.sidePanel) {
+            chrome.windows.getCurrent(win => {
+                chrome.sidePanel.open({ windowId: win.id }).catch(() => {});
+            });
+        } else if (typeof browser !== 'undefined' && browser.sidebarAction) {
+            browser.sidebarAction.open();
+        }
+    }
+
+    if (dockedToggle) {
+        dockedToggle.addEventListener('change', () => {
+            settings.displayMode = dockedToggle.checked ? 'docked' : 'floating';
+            saveKey('displayMode', settings.displayMode);
+            if (dockedToggle.checked) openSidePanel();
+        });
+    }
+
+    // ── Archive toggle ───────────────────────────────────────────
+    const archiveToggle = document.getElementById('toggle-archive');
+
+    function refreshArchiveUI() {
+        if (archiveToggle) {
+            archiveToggle.checked = !!settings.archive;
+        }
+    }
+
+    if (archiveToggle) {
+        archiveToggle.addEventListener('change', () => {
+            settings.archive = archiveToggle.checked;
+            saveKey('archive', settings.archive);
+        });
+    }
+
+    // Extension pages open in a tab of their own
+    [['open-archive-search', 'search.html'], ['open-viewer', 'viewer.html']].forEach(([id, page]) => {
+        const btn = document.getElementById(id);
+        if (!btn) return;
+        btn.addEventListener('click', () => {
+            const api = (typeof chrome !== 'undefined' && chrome.tabs) ? chrome : browser;
+            api.tabs.create({ url: api.runtime.getURL(page) });
+            window.close();
+        });
+    });
+
     // ── Platform theme cards ─────────────────────────────────────
     const platformList = document.getElementById('platform-list');
     const PLATFORMS = [
@@ -159,17 +248,236 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    // ── Site adapters ────────────────────────────────────────────
+    const permissionsAPI = (typeof chrome !== 'undefined' && chrome.permissions) ? chrome.permissions : null;
+    const builtinSiteList = document.getElementById('builtin-site-list');
+    const customSiteList = document.getElementById('custom-site-list');
+    const adapterEditor = document.getElementById('adapter-editor');
+    const adapterInput = document.getElementById('adapter-editor-input');
+    const adapterErrors = document.getElementById('adapter-editor-errors');
+    const importFile = document.getElementById('adapter-import-file');
+    let customAdapters = [];
+
+    async function loadCustomAdapters() {
+        if (!storageAPI) return;
+        return new Promise(resolve => {
+            storageAPI.get({ [CUSTOM_ADAPTERS_KEY]: [] }, items => {
+                customAdapters = items[CUSTOM_ADAPTERS_KEY] || [];
+                resolve();
+            });
+        });
+    }
+
+    function storeAdapters(defs) {
+        defs.forEach(def => {
+            // Browsers report host names in lowercase
+            def.match.hosts = def.match.hosts.map(h => h.toLowerCase());
+            const index = customAdapters.findIndex(a => a.id === def.id);
+            if (index >= 0) customAdapters[index] = def;
+            else customAdapters.push(def);
+        });
+        saveKey(CUSTOM_ADAPTERS_KEY, customAdapters);
+        renderSites();
+    }
+
+    function downloadJSON(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Must be called straight from a click handler: browsers only show the prompt on a user gesture
+    function requestAccess(defs, callback) {
+        if (!permissionsAPI) return callback(true);
+        const origins = [].concat(...defs.map(def => TOC_ADAPTERS.getOrigins(def)));
+        permissionsAPI.request({ origins }, granted => callback(!!granted));
+    }
+
+    function parseAdapters(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            return { defs: [], errors: [`Invalid JSON: ${e.message}`] };
+        }
+        const defs = Array.isArray(parsed) ? parsed : [parsed];
+        const errors = [];
+        defs.forEach((def, i) => {
+            TOC_ADAPTERS.validate(def).forEach(err =>
+                errors.push(defs.length > 1 ? `#${i + 1}: ${err}` : err)
+            );
+        });
+        return { defs, errors };
+    }
+
+    function createSiteCard(def, buttons) {
+        const card = document.createElement('div');
+        card.className = 'platform-card site-card';
+
+        const info = document.createElement('div');
+        info.className = 'setting-info';
+        const name = document.createElement('span');
+        name.className = 'platform-name';
+        name.textContent = def.name;
+        const hosts = document.createElement('span');
+        hosts.className = 'setting-desc';
+        hosts.textContent = def.match.hosts.join(', ');
+        info.appendChild(name);
+        info.appendChild(hosts);
+
+        const row = document.createElement('div');
+        row.className = 'site-card-buttons';
+        buttons.forEach(b => {
+            const btn = document.createElement('button');
+            btn.className = 'site-card-btn' + (b.primary ? ' primary' : '');
+            btn.textContent = b.label;
+            btn.addEventListener('click', b.action);
+            row.appendChild(btn);
+        });
+
+        card.appendChild(info);
+        card.appendChild(row);
+        return card;
+    }
+
+    function renderSites() {
+        builtinSiteList.textContent = '';
+        BUILTIN_ADAPTERS.forEach(def => {
+            // Exporting a built-in gives a ready-made starting point for a custom adapter
+            builtinSiteList.appendChild(createSiteCard(def, [
+                { label: 'Export', action: () => downloadJSON(def, `${def.id}.adapter.json`) },
+            ]));
+        });
+
+        customSiteList.textContent = '';
+        if (customAdapters.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'setting-desc site-empty';
+            empty.textContent = 'No custom sites yet. Create an adapter or import one.';
+            customSiteList.appendChild(empty);
+        }
+
+        customAdapters.forEach(def => {
+            const buttons = [
+                { label: 'Edit', action: () => openEditor(def) },
+                { label: 'Export', action: () => downloadJSON(def, `${def.id}.adapter.json`) },
+                {
+                    label: 'Delete', action: () => {
+                        customAdapters = customAdapters.filter(a => a.id !== def.id);
+                        saveKey(CUSTOM_ADAPTERS_KEY, customAdapters);
+                        renderSites();
+                    }
+                },
+            ];
+            const card = createSiteCard(def, buttons);
+            customSiteList.appendChild(card);
+
+            // Imported adapters can't prompt for access on import, so offer it here
+            if (permissionsAPI) {
+                permissionsAPI.contains({ origins: TOC_ADAPTERS.getOrigins(def) }, granted => {
+                    if (granted) return;
+                    const grant = document.createElement('button');
+                    grant.className = 'site-card-btn primary';
+                    grant.textContent = 'Grant access';
+                    grant.addEventListener('click', () => requestAccess([def], ok => ok && renderSites()));
+                    card.querySelector('.site-card-buttons').prepend(grant);
+                });
+            }
+        });
+    }
+
+    function openEditor(def) {
+        adapterInput.value = JSON.stringify(def, null, 2);
+        adapterErrors.textContent = '';
+        adapterEditor.hidden = false;
+        adapterInput.focus();
+    }
+
+    function closeEditor() {
+        adapterEditor.hidden = true;
+        adapterInput.value = '';
+        adapterErrors.textContent = '';
+    }
+
+    function showAdapterErrors(errors) {
+        adapterErrors.textContent = '';
+        errors.forEach(err => {
+            const line = document.createElement('div');
+            line.textContent = err;
+            adapterErrors.appendChild(line);
+        });
+    }
+
+    document.getElementById('adapter-new').addEventListener('click', () => {
+        openEditor({
+            id: 'my-site',
+            name: 'My Site',
+            match: { hosts: ['chat.example.com'] },
+            user: { selector: '[data-role="user"]' },
+            turn: { selector: '[data-role="turn"]' },
+            answer: { selector: '[data-role="assistant"]', stopSelector: '[data-role="user"]' },
+            dedupe: { by: 'none' },
+            attachment: { selector: '[data-role="attachment"]' },
+        });
+    });
+
+    document.getElementById('adapter-cancel').addEventListener('click', closeEditor);
+
+    document.getElementById('adapter-save').addEventListener('click', () => {
+        const { defs, errors } = parseAdapters(adapterInput.value);
+        if (errors.length) {
+            showAdapterErrors(errors);
+            return;
+        }
+        // Store first so the adapter isn't lost if the permission prompt closes the popup
+        storeAdapters(defs);
+        closeEditor();
+        requestAccess(defs, () => renderSites());
+    });
+
+    document.getElementById('adapter-import').addEventListener('click', () => importFile.click());
+
+    importFile.addEventListener('change', () => {
+        const file = importFile.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            const { defs, errors } = parseAdapters(text);
+            if (errors.length) {
+                adapterInput.value = text;
+                adapterEditor.hidden = false;
+                showAdapterErrors(errors);
+            } else {
+                storeAdapters(defs);
+            }
+            importFile.value = '';
+        });
+    });
+
     // ── Reset ────────────────────────────────────────────────────
     document.getElementById('reset-defaults').addEventListener('click', () => {
         settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
         if (storageAPI) storageAPI.set(DEFAULT_SETTINGS);
         refreshModeUI();
         refreshShowAnswersUI();
+        refreshShowOutlineUI();
+        refreshSizeUI();
+        refreshDockedUI();
+        refreshArchiveUI();
         renderPlatforms();
     });
 
     // ── Init ─────────────────────────────────────────────────────
     refreshModeUI();
     refreshShowAnswersUI();
+    refreshShowOutlineUI();
+    refreshSizeUI();
+    refreshDockedUI();
+    refreshArchiveUI();
     renderPlatforms();
+    await loadCustomAdapters();
+    renderSites();
 });
@@ -0,0 +1,149 @@
+/**
+ * AI Chat TOC - Print View
+ * A print-ready copy of a conversation sent by the content script (see UI.openPrintView):
+ * a cover with a numbered table of contents, then every turn under its own heading,
+ * without the chat site's sidebars and input box. Opens the print dialog once loaded.
+ */
+
+const api = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome : browser;
+
+// Code blocks longer than this may break across pages; shorter ones are kept whole
+const PRINT_KEEP_LINES = 40;
+
+const message = document.getElementById("print-message");
+const printButton = document.getElementById("print-button");
+const documentView = document.getElementById("print-document");
+const cover = document.getElementById("print-cover");
+const tocList = document.getElementById("print-toc-list");
+const turnList = document.getElementById("print-turns");
+
+let settings = { ...DEFAULT_SETTINGS };
+
+// =============================================================================
+// Settings & theme
+// =============================================================================
+
+function loadSettings() {
+    return new Promise((resolve) => {
+        api.storage.local.get(DEFAULT_SETTINGS, (items) => {
+            settings = { ...settings, ...items };
+            resolve(settings);
+        });
+    });
+}
+
+// Paper is light: only the accent of the site's theme is used
+function applyTheme(platformKey) {
+    const themeId = (settings.themes && settings.themes[platformKey]) || DEFAULT_THEMES[platformKey] || "emerald";
+    const themeConfig = THEMES[themeId] || THEMES.emerald;
+    document.body.style.setProperty("--pr-accent", themeConfig.light.accent);
+    document.body.style.setProperty("--pr-accent-bg", themeConfig.light.accentLight);
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+function element(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+function renderCover(transcript) {
+    cover.textContent = "";
+    cover.appendChild(element("div", "print-site", transcript.site));
+    cover.appendChild(element("h1", null, TOC_TRANSCRIPT.getTitle(transcript)));
+
+    const exported = new Date(transcript.exportedAt).toLocaleString();
+    cover.appendChild(element("p", "print-details", `${transcript.turns.length} turns · exported ${exported}`));
+    if (/^https?:/i.test(transcript.conversation.url || "")) {
+        cover.appendChild(element("p", "print-url", transcript.conversation.url));
+    }
+}
+
+function createTOCItem(turn, index) {
+    const li = document.createElement("li");
+    const text = turn.question.text.replace(/\s+/g, " ");
+    const link = element("a", null, text.length > 200 ? text.substring(0, 197) + "..." : text);
+    link.href = `#turn-${index + 1}`;
+    li.appendChild(link);
+    return li;
+}
+
+function createTurn(turn, index) {
+    const section = element("section", "print-turn");
+    section.id = `turn-${index + 1}`;
+
+    const heading = element("h2", "print-turn-heading");
+    heading.appendChild(element("span", "print-turn-number", String(index + 1)));
+    heading.appendChild(element("span", "print-question", turn.question.text));
+    section.appendChild(heading);
+
+    const attachments = turn.question.attachments || [];
+    if (attachments.length) {
+        section.appendChild(element("p", "print-attachments",
+            `Attachments: ${attachments.map((a) => TOC_TRANSCRIPT.describeAttachment(a)).join(", ")}`));
+    }
+    if (turn.note) section.appendChild(element("aside", "print-note", turn.note));
+
+    if (turn.answer) {
+        const answer = element("div", "print-answer");
+        answer.innerHTML = TOC_HTML.answerHTML(turn.answer.markdown);
+        answer.querySelectorAll("pre").forEach((pre) => {
+            if (pre.textContent.split("\n").length > PRINT_KEEP_LINES) pre.classList.add("print-long");
+        });
+        section.appendChild(answer);
+    }
+    const status = TOC_TRANSCRIPT.getStatusLabel(turn);
+    if (status) section.appendChild(element("p", "print-status", status));
+
+    return section;
+}
+
+function render(transcript) {
+    applyTheme(transcript.platform);
+    // Browsers suggest the title as the PDF's file name
+    document.title = `${TOC_TRANSCRIPT.getTitle(transcript)} - ${transcript.site}`;
+
+    renderCover(transcript);
+    const items = document.createDocumentFragment();
+    const turns = document.createDocumentFragment();
+    transcript.turns.forEach((turn, index) => {
+        items.appendChild(createTOCItem(turn, index));
+        turns.appendChild(createTurn(turn, index));
+    });
+    tocList.replaceChildren(items);
+    turnList.replaceChildren(turns);
+
+    message.hidden = true;
+    documentView.hidden = false;
+    printButton.disabled = false;
+}
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+function load() {
+    const id = new URLSearchParams(location.search).get("job");
+    api.runtime.sendMessage({ action: "toc-print-job", id }, (response) => {
+        const transcript = !api.runtime.lastError && response && response.transcript;
+        if (!transcript) {
+            message.textContent = "This print view has expired. Export the conversation again from the chat.";
+            return;
+        }
+        render(transcript);
+
+        // The dialog opens by itself once; reloading the tab only shows the document
+        const printed = `toc-printed-${id}`;
+        if (sessionStorage.getItem(printed)) return;
+        sessionStorage.setItem(printed, "1");
+        requestAnimationFrame(() => setTimeout(() => window.print(), 100));
+    });
+}
+
+printButton.addEventListener("click", () => window.print());
+
+loadSettings().then(load);
@@ -0,0 +1,344 @@
+/**
+ * AI Chat TOC - Archive Search
+ * Full-text search over every conversation in the local archive (see archive.js),
+ * across all sites. Results link back to the chat, scrolled to the matching turn.
+ */
+
+const api = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome : browser;
+
+const PAGE_SIZE = 50;
+const SNIPPET_CONTEXT = 70; // Characters shown before the first match
+const FIELD_LABELS = { prompt: "Prompt", answer: "Answer" };
+
+const form = document.getElementById("search-form");
+const searchInput = document.getElementById("search-input");
+const platformFilter = document.getElementById("filter-platform");
+const fieldFilter = document.getElementById("filter-field");
+const fromFilter = document.getElementById("filter-from");
+const toFilter = document.getElementById("filter-to");
+const resultList = document.getElementById("search-results");
+const summary = document.getElementById("search-summary");
+const moreButton = document.getElementById("search-more");
+const emptyState = document.getElementById("search-empty");
+
+let settings = { ...DEFAULT_SETTINGS };
+let records = [];
+let index = null;
+let results = [];
+let terms = [];
+let shown = 0;
+let archiveSignature = null; // Ids and update times of the loaded records
+
+// =============================================================================
+// Settings & theme
+// =============================================================================
+
+function loadSettings() {
+    return new Promise((resolve) => {
+        api.storage.local.get(DEFAULT_SETTINGS, (items) => {
+            settings = { ...settings, ...items };
+            resolve(settings);
+        });
+    });
+}
+
+function applyTheme() {
+    const themeConfig = THEMES.emerald;
+
+    let isDark = settings.themeMode === "dark";
+    if (settings.themeMode === "system") isDark = window.matchMedia("(prefers-color-scheme: dark)").matches;
+
+    const colors = isDark ? themeConfig.dark : themeConfig.light;
+    document.body.style.setProperty("--sr-accent", colors.accent);
+    document.body.style.setProperty("--sr-accent-bg", colors.accentLight);
+    document.body.classList.toggle("dark-mode", isDark);
+}
+
+// =============================================================================
+// Full-text index
+// =============================================================================
+
+function tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * One document per prompt and per answer of every archived turn. Each token maps to
+ * the documents containing it; the sorted token list serves prefix lookups, so "deplo"
+ * finds "deploy" and "deployment" while typing.
+ */
+function buildIndex() {
+    const docs = [];
+    const postings = new Map();
+
+    records.forEach((record) => {
+        record.turns.forEach((turn, position) => {
+            const fields = {
+                prompt: [turn.prompt, ...(turn.attachments || []).map((a) => a.name)].join("\n"),
+                answer: TOC_MARKDOWN.toPlainText(turn.answer.markdown || turn.answer.text || ""),
+            };
+            Object.entries(fields).forEach(([field, text]) => {
+                if (!text.trim()) return;
+                const id = docs.length;
+                docs.push({ record, turn, position, field, text });
+                tokenize(text).forEach((token) => {
+                    let ids = postings.get(token);
+                    if (!ids) postings.set(token, (ids = new Set()));
+                    ids.add(id);
+                });
+            });
+        });
+    });
+
+    index = { docs, postings, tokens: Array.from(postings.keys()).sort() };
+}
+
+// Ids of the documents with a token starting with `term`
+function lookup(term) {
+    const { tokens, postings } = index;
+    let low = 0;
+    let high = tokens.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (tokens[mid] < term) low = mid + 1;
+        else high = mid;
+    }
+
+    const ids = new Set();
+    for (let i = low; i < tokens.length && tokens[i].startsWith(term); i++) {
+        postings.get(tokens[i]).forEach((id) => ids.add(id));
+    }
+    return ids;
+}
+
+function getFilters() {
+    // Date inputs are local days: "to" includes the whole day
+    const day = (value, end) => value ? new Date(`${value}T00:00`).getTime() + (end ? 86400000 : 0) : null;
+    return {
+        platform: platformFilter.value,
+        field: fieldFilter.value,
+        from: day(fromFilter.value, false),
+        to: day(toFilter.value, true),
+    };
+}
+
+function matchesFilters(doc, filters) {
+    if (filters.platform && doc.record.platform !== filters.platform) return false;
+    if (filters.field && doc.field !== filters.field) return false;
+    if (filters.from !== null && doc.turn.createdAt < filters.from) return false;
+    if (filters.to !== null && doc.turn.createdAt >= filters.to) return false;
+    return true;
+}
+
+/**
+ * Every document containing all words of the query (as word prefixes), newest turn
+ * first. Without a query: the prompts (or answers, with that filter) of every turn.
+ */
+function search(query, filters) {
+    terms = Array.from(new Set(tokenize(query)));
+
+    let ids = null;
+    // Rarest term first keeps the intersection small
+    terms.map(lookup).sort((a, b) => a.size - b.size).forEach((matches) => {
+        ids = ids === null ? matches : new Set(Array.from(ids).filter((id) => matches.has(id)));
+    });
+
+    let docs = ids === null ? index.docs : Array.from(ids, (id) => index.docs[id]);
+    if (terms.length === 0 && !filters.field) docs = docs.filter((doc) => doc.field === "prompt");
+
+    return docs
+        .filter((doc) => matchesFilters(doc, filters))
+        .sort((a, b) => b.turn.createdAt - a.turn.createdAt || a.position - b.position || (a.field === "prompt" ? -1 : 1));
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+function truncate(text, max = 100) {
+    return text.length > max ? text.substring(0, max - 3) + "..." : text;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Conversation title; sites often keep their own name as the title of every chat
+function getTitle(record) {
+    const title = (record.title || "").trim();
+    if (title && title !== record.site) return title;
+    return truncate(record.turns.length ? record.turns[0].prompt : record.conversationId, 80);
+}
+
+// Chat URL with the turn to open it at (read by the content script, see UI.readTurnLink)
+function getTurnUrl(doc) {
+    return `${doc.record.url}#toc-${doc.field === "answer" ? "answer" : "turn"}=${encodeURIComponent(doc.turn.key)}`;
+}
+
+// Text around the first match, with every match highlighted
+function createSnippet(text) {
+    const flat = text.replace(/\s+/g, " ").trim();
+    const pattern = terms.length
+        ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join("|")})`, "giu")
+        : null;
+
+    const first = Math.max(0, pattern ? flat.search(pattern) : 0);
+    const start = first > SNIPPET_CONTEXT ? flat.lastIndexOf(" ", first - SNIPPET_CONTEXT) + 1 : 0;
+    const end = Math.min(flat.length, start + SNIPPET_CONTEXT * 3);
+    const excerpt = `${start > 0 ? "…" : ""}${flat.slice(start, end)}${end < flat.length ? "…" : ""}`;
+
+    const snippet = document.createElement("span");
+    snippet.className = "search-result-snippet";
+    let last = 0;
+    if (pattern) {
+        for (const match of excerpt.matchAll(pattern)) {
+            snippet.append(excerpt.slice(last, match.index));
+            const mark = document.createElement("mark");
+            mark.textContent = match[0];
+            snippet.appendChild(mark);
+            last = match.index + match[0].length;
+        }
+    }
+    snippet.append(excerpt.slice(last));
+    return snippet;
+}
+
+function createResult(doc) {
+    const li = document.createElement("li");
+    li.className = "search-result";
+
+    const meta = document.createElement("div");
+    meta.className = "search-result-meta";
+
+    const site = document.createElement("span");
+    site.className = "search-result-site";
+    site.setAttribute("data-platform", doc.record.platform);
+    site.textContent = doc.record.site;
+
+    const title = document.createElement("a");
+    title.className = "search-result-title";
+    title.href = doc.record.url;
+    title.target = "_blank";
+    title.rel = "noopener";
+    title.textContent = getTitle(doc.record);
+
+    const date = document.createElement("time");
+    date.className = "search-result-date";
+    date.dateTime = new Date(doc.turn.createdAt).toISOString();
+    date.textContent = new Date(doc.turn.createdAt).toLocaleDateString();
+
+    meta.append(site, title, date);
+
+    const link = document.createElement("a");
+    link.className = "search-result-link";
+    link.href = getTurnUrl(doc);
+    link.target = "_blank";
+    link.rel = "noopener";
+
+    const field = document.createElement("span");
+    field.className = "search-result-field";
+    field.setAttribute("data-field", doc.field);
+    field.textContent = `${FIELD_LABELS[doc.field]} · Turn ${doc.position + 1}`;
+
+    link.append(field, createSnippet(doc.text));
+    li.append(meta, link);
+    return li;
+}
+
+function showMore(count = PAGE_SIZE) {
+    const fragment = document.createDocumentFragment();
+    results.slice(shown, shown + count).forEach((doc) => fragment.appendChild(createResult(doc)));
+    resultList.appendChild(fragment);
+    shown = Math.min(results.length, shown + count);
+    moreButton.hidden = shown >= results.length;
+}
+
+// count: results to show at once, more than a page when refreshing a list the user scrolled through
+function render(count = PAGE_SIZE) {
+    const filters = getFilters();
+    results = index ? search(searchInput.value, filters) : [];
+    shown = 0;
+    resultList.textContent = "";
+
+    const filtered = terms.length > 0 || filters.platform || filters.field || filters.from !== null || filters.to !== null;
+    summary.textContent = filtered && results.length ? `${results.length} ${results.length === 1 ? "result" : "results"}` : "";
+
+    emptyState.hidden = records.length > 0 && results.length > 0;
+    emptyState.textContent = records.length === 0
+        ? "The archive is empty. Turn on \"Archive conversations\" in the extension settings, then open a chat."
+        : "No matches.";
+
+    showMore(count);
+}
+
+function renderPlatforms() {
+    const selected = platformFilter.value;
+    const platforms = new Map(BUILTIN_ADAPTERS.map((def) => [def.id, def.name]));
+    // Sites of custom adapters only appear once something was archived there
+    records.forEach((record) => {
+        if (!platforms.has(record.platform)) platforms.set(record.platform, record.site);
+    });
+
+    platformFilter.length = 1;
+    platforms.forEach((name, id) => platformFilter.add(new Option(name, id)));
+    platformFilter.value = platforms.has(selected) ? selected : "";
+}
+
+function renderStats() {
+    const turns = records.reduce((sum, record) => sum + record.turns.length, 0);
+    document.querySelector(".search-stats").textContent =
+        `${records.length} ${records.length === 1 ? "conversation" : "conversations"} · ${turns} ${turns === 1 ? "turn" : "turns"}`;
+}
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+function load() {
+    return TOC_ARCHIVE.list()
+        .catch((e) => {
+            console.debug("[TOC] Archive", e);
+            return [];
+        })
+        .then((list) => {
+            // Nothing archived since the last load: keep the results, and where the user was in them
+            const signature = list.map((record) => `${record.id}:${record.updatedAt}`).join("|");
+            if (signature === archiveSignature) return;
+            const refresh = archiveSignature !== null;
+            archiveSignature = signature;
+
+            records = list;
+            buildIndex();
+            renderPlatforms();
+            renderStats();
+            if (!refresh) return render();
+
+            const scroll = window.scrollY;
+            render(Math.max(shown, PAGE_SIZE));
+            window.scrollTo(0, scroll);
+        });
+}
+
+let inputTimer = null;
+searchInput.addEventListener("input", () => {
+    clearTimeout(inputTimer);
+    inputTimer = setTimeout(render, 150);
+});
+[platformFilter, fieldFilter, fromFilter, toFilter].forEach((control) => control.addEventListener("change", () => render()));
+form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    render();
+});
+moreButton.addEventListener("click", () => showMore());
+
+// Chats keep being archived in other tabs: pick up what changed when coming back
+document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") load();
+});
+
+api.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && ("themeMode" in changes)) loadSettings().then(applyTheme);
+});
+
+loadSettings().then(applyTheme);
+load();
@@ -0,0 +1,235 @@
+/**
+ * AI Chat TOC - Side Panel
+ * Docked mode: renders the TOC of the active tab from the state its content script
+ * publishes over a connection, and sends navigation back to the tab as messages.
+ */
+
+const api = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome : browser;
+
+const list = document.getElementById("panel-list");
+const emptyState = document.getElementById("panel-empty");
+const searchInput = document.getElementById("panel-search-input");
+const floatingNotice = document.getElementById("floating-notice");
+
+let settings = { ...DEFAULT_SETTINGS };
+let currentTabId = null;
+let tabPort = null; // Connection to the content script of the shown tab
+let state = null;
+
+// =============================================================================
+// Settings & theme
+// =============================================================================
+
+function loadSettings() {
+    return new Promise((resolve) => {
+        api.storage.local.get(DEFAULT_SETTINGS, (items) => {
+            settings = { ...settings, ...items };
+            resolve(settings);
+        });
+    });
+}
+
+function applyTheme() {
+    const platformKey = state ? state.platformKey : null;
+    const themeId = (settings.themes && settings.themes[platformKey]) || DEFAULT_THEMES[platformKey] || "emerald";
+    const themeConfig = THEMES[themeId] || THEMES.emerald;
+
+    let isDark = settings.themeMode === "dark";
+    if (settings.themeMode === "system") isDark = window.matchMedia("(prefers-color-scheme: dark)").matches;
+
+    const colors = isDark ? themeConfig.dark : themeConfig.light;
+    document.body.style.setProperty("--sp-accent", colors.accent);
+    document.body.style.setProperty("--sp-accent-bg", colors.accentLight);
+    document.body.classList.toggle("dark-mode", isDark);
+
+    floatingNotice.hidden = settings.displayMode === "docked";
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+function truncate(text, max = 100) {
+    return text.length > max ? text.substring(0, max - 3) + "..." : text;
+}
+
+function createItem(item, index) {
+    const li = document.createElement("li");
+    li.setAttribute("data-toc-key", item.key);
+    li.classList.toggle("toc-pinned", item.pinned);
+    li.classList.toggle("toc-has-note", !!item.note);
+
+    const row = document.createElement("div");
+    row.className = "panel-question-row";
+
+    const link = document.createElement("a");
+    link.href = "#";
+    link.setAttribute("data-num", index + 1);
+    link.textContent = truncate(item.text);
+    link.title = item.text;
+
+    const pinBtn = document.createElement("button");
+    pinBtn.className = "panel-pin-btn";
+    pinBtn.title = item.pinned ? "Unpin" : "Pin";
+
+    row.appendChild(link);
+    item.versions.forEach((version) => {
+        const badge = document.createElement("span");
+        badge.className = "panel-version";
+        badge.setAttribute("data-kind", version.kind);
+        badge.textContent = version.label;
+        badge.title = version.title;
+        row.appendChild(badge);
+    });
+    row.appendChild(pinBtn);
+    li.appendChild(row);
+
+    if (item.statusLabel) {
+        const status = document.createElement("div");
+        status.className = "panel-status";
+        status.setAttribute("data-status", item.status);
+        status.textContent = item.statusLabel;
+        li.appendChild(status);
+    }
+
+    if (item.attachments.length) {
+        const files = document.createElement("div");
+        files.className = "panel-attachments";
+        files.textContent = item.attachments.join(", ");
+        files.title = item.attachments.join("\n");
+        li.appendChild(files);
+    }
+
+    if (item.note) {
+        const note = document.createElement("div");
+        note.className = "panel-note";
+        note.textContent = truncate(item.note, 200);
+        li.appendChild(note);
+    }
+
+    if (settings.showAnswers && item.answer) {
+        const answer = document.createElement("a");
+        answer.href = "#";
+        answer.className = "panel-answer";
+        answer.textContent = truncate(item.answer);
+        answer.title = item.answer.substring(0, 500);
+        li.appendChild(answer);
+    }
+
+    return li;
+}
+
+function render(nextState) {
+    state = nextState;
+    applyTheme();
+    list.textContent = "";
+
+    const items = state ? state.items : [];
+    document.querySelector(".panel-site").textContent = state ? state.site : "";
+    document.querySelector(".panel-count").textContent = items.length ? `${items.length} queries` : "";
+    emptyState.hidden = items.length > 0;
+
+    items.forEach((item, index) => list.appendChild(createItem(item, index)));
+    filter();
+    setActive(state ? state.activeKey : null);
+}
+
+function setActive(key) {
+    list.querySelectorAll("li.toc-active").forEach((li) => li.classList.remove("toc-active"));
+
+    const progress = document.querySelector(".panel-progress");
+    const index = state && key ? state.items.findIndex((item) => item.key === key) : -1;
+    if (index === -1) {
+        progress.textContent = "";
+        return;
+    }
+
+    state.activeKey = key;
+    progress.textContent = `Turn ${index + 1} / ${state.items.length}`;
+    const li = list.children[index];
+    li.classList.add("toc-active");
+    if (li.style.display !== "none") li.scrollIntoView({ block: "nearest" });
+}
+
+function filter() {
+    const term = searchInput.value.toLowerCase().trim();
+    if (!state) return;
+    state.items.forEach((item, index) => {
+        const haystack = `${item.text}\n${item.answer}\n${item.note}\n${item.attachments.join("\n")}`.toLowerCase();
+        list.children[index].style.display = term === "" || haystack.includes(term) ? "" : "none";
+    });
+}
+
+// =============================================================================
+// Communication with the active tab
+// =============================================================================
+
+function sendToTab(message) {
+    if (currentTabId === null) return;
+    // No content script on this tab (unsupported site, or not loaded yet)
+    api.tabs.sendMessage(currentTabId, message, () => void api.runtime.lastError);
+}
+
+// The content script publishes its state only while a panel is connected to it: the
+// first message answers the connection, the next ones follow its changes
+function connectToTab(tabId) {
+    const port = api.tabs.connect(tabId, { name: "toc-sidepanel" });
+    port.onMessage.addListener((request) => {
+        if (port !== tabPort) return;
+        if (request.action === "toc-state") render(request.state);
+        else if (request.action === "toc-active") setActive(request.key);
+    });
+    // No content script on this tab (unsupported site), or the page went away
+    port.onDisconnect.addListener(() => {
+        void api.runtime.lastError;
+        if (port !== tabPort) return;
+        tabPort = null;
+        render(null);
+    });
+    tabPort = port;
+}
+
+function requestState() {
+    api.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (tabPort) tabPort.disconnect();
+        tabPort = null;
+        currentTabId = tabs[0] ? tabs[0].id : null;
+        if (currentTabId === null) {
+            render(null);
+            return;
+        }
+        connectToTab(currentTabId);
+    });
+}
+
+list.addEventListener("click", (e) => {
+    const li = e.target.closest("li");
+    if (!li) return;
+    e.preventDefault();
+    const key = li.getAttribute("data-toc-key");
+
+    if (e.target.closest(".panel-pin-btn")) {
+        sendToTab({ action: "toc-toggle-pin", key });
+    } else if (e.target.closest("a")) {
+        sendToTab({ action: "toc-navigate", key, toAnswer: !!e.target.closest(".panel-answer") });
+    }
+});
+
+searchInput.addEventListener("input", filter);
+
+document.getElementById("dock-here").addEventListener("click", () => {
+    api.storage.local.set({ displayMode: "docked" });
+});
+
+api.tabs.onActivated.addListener(requestState);
+api.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (tabId === currentTabId && changeInfo.status === "complete") requestState();
+});
+
+api.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !Object.keys(changes).some((key) => key in DEFAULT_SETTINGS)) return;
+    // Switching modes changes what the content script publishes: ask again
+    loadSettings().then(requestState);
+});
+
+loadSettings().then(requestState);
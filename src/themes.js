@@ -53,7 +53,10 @@ const DEFAULT_SETTINGS = {
     themeMode: "system", // light, dark, system
     themes: DEFAULT_THEMES,
     showAnswers: false,
-    tocSize: "normal"
+    showOutline: false, // Headings of each answer as a sub-tree under its turn
+    tocSize: "normal",
+    displayMode: "floating", // floating (on the page), docked (browser side panel)
+    archive: false // Keep a local copy of each conversation (IndexedDB, see archive.js)
 };
 
 // Make it available to content script and popup
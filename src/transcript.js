@@ -0,0 +1,180 @@
+/**
+ * AI Chat TOC - Conversation Transcript Format
+ * The versioned JSON written by "Download as .json" and read back by the viewer page:
+ * a lossless, machine-readable interchange format for conversations of any site.
+ * Shared by the content script and the extension pages.
+ *
+ * Schema (version 1):
+ *
+ *   format        "ai-chat-toc.conversation" - identifies the file.
+ *   version       Schema version. Additions keep the version; readers reject versions
+ *                 newer than the one they know.
+ *   exportedAt    ISO 8601 time of the export.
+ *   platform      Adapter id of the site ("chatgpt", or the id of a custom adapter).
+ *   site          Display name of the site ("ChatGPT").
+ *   conversation  { id, url, title } - id as parsed from the URL, null when it has none.
+ *   turns         In conversation order:
+ *                   key         Turn key: "m-<platform message id>" or "h-<hash of the prompt>".
+ *                   question    { text, version, attachments: [{ name, type, size }] }
+ *                               type and size are null when the site doesn't show them.
+ *                   answer      { text, markdown, version, status }, null before any answer.
+ *                               markdown keeps code blocks, lists, tables and math (see
+ *                               TOC_MARKDOWN.fromElement), text is the same without syntax.
+ *                               status: complete, pending, streaming, error or stopped.
+ *                   note        The user's note on the turn, or null.
+ *                   pinned      Whether the turn is pinned.
+ *                   alternates  Other versions of the turn seen while the chat was open:
+ *                               [{ question: { text, version }, answer: { markdown, version } }]
+ *
+ *   Versions are { index, count } ("2 of 3"), null for turns never edited or regenerated.
+ */
+
+const TRANSCRIPT_FORMAT = "ai-chat-toc.conversation";
+const TRANSCRIPT_VERSION = 1;
+
+// Answers that didn't finish before the export, as shown by the viewer and the HTML export
+const TRANSCRIPT_STATUS_LABELS = {
+    pending: "No answer yet",
+    streaming: "Answer was still being generated",
+    error: "Generation failed",
+    stopped: "Stopped",
+};
+
+const TOC_TRANSCRIPT = {
+    /**
+     * Wraps conversation data in the transcript envelope.
+     * @param {object} data - { platform, site, conversation, turns } as in the schema.
+     */
+    create: function (data) {
+        return {
+            format: TRANSCRIPT_FORMAT,
+            version: TRANSCRIPT_VERSION,
+            exportedAt: new Date().toISOString(),
+            platform: data.platform,
+            site: data.site,
+            conversation: data.conversation,
+            turns: data.turns,
+        };
+    },
+
+    /**
+     * Reads a transcript file.
+     * @param {string} text - File contents.
+     * @returns {{transcript: object|null, errors: string[]}}
+     */
+    parse: function (text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { transcript: null, errors: ["The file is not valid JSON"] };
+        }
+        const errors = TOC_TRANSCRIPT.validate(data);
+        return { transcript: errors.length ? null : data, errors };
+    },
+
+    /**
+     * Validates a parsed transcript.
+     * @returns {string[]} Human readable problems; empty when the transcript is usable.
+     */
+    validate: function (data) {
+        const errors = [];
+        const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+        const isVersion = (v) => v === null || v === undefined ||
+            (isObject(v) && Number.isInteger(v.index) && Number.isInteger(v.count));
+        const isOptionalString = (v) => v === null || v === undefined || typeof v === "string";
+
+        if (!isObject(data) || data.format !== TRANSCRIPT_FORMAT) {
+            return ["Not an AI Chat TOC conversation export"];
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            errors.push("version must be a positive integer");
+        } else if (data.version > TRANSCRIPT_VERSION) {
+            errors.push(`Exported by a newer version of the extension (format version ${data.version})`);
+        }
+        if (typeof data.site !== "string") errors.push("site must be a string");
+        if (!isObject(data.conversation)) {
+            errors.push("conversation must be an object");
+        } else {
+            ["title", "url"].forEach((field) => {
+                if (!isOptionalString(data.conversation[field])) errors.push(`conversation.${field} must be a string`);
+            });
+        }
+        if (!Array.isArray(data.turns)) return errors.concat("turns must be a list");
+
+        data.turns.forEach((turn, i) => {
+            const path = `turns[${i}]`;
+            if (!isObject(turn)) return errors.push(`${path} must be an object`);
+            if (!isObject(turn.question) || typeof turn.question.text !== "string") {
+                errors.push(`${path}.question.text must be a string`);
+            } else {
+                if (!isVersion(turn.question.version)) errors.push(`${path}.question.version must be { index, count }`);
+                const attachments = turn.question.attachments;
+                if (attachments !== undefined && !Array.isArray(attachments)) {
+                    errors.push(`${path}.question.attachments must be a list`);
+                } else {
+                    (attachments || []).forEach((attachment, j) => {
+                        const valid = isObject(attachment) &&
+                            ["name", "type", "size"].every((field) => isOptionalString(attachment[field]));
+                        if (!valid) errors.push(`${path}.question.attachments[${j}] must be { name, type, size } with string values`);
+                    });
+                }
+            }
+            if (turn.answer !== null && turn.answer !== undefined) {
+                if (!isObject(turn.answer) || typeof turn.answer.markdown !== "string") {
+                    errors.push(`${path}.answer.markdown must be a string`);
+                } else if (!isVersion(turn.answer.version)) {
+                    errors.push(`${path}.answer.version must be { index, count }`);
+                }
+            }
+            if (turn.note !== null && turn.note !== undefined && typeof turn.note !== "string") {
+                errors.push(`${path}.note must be a string or null`);
+            }
+            if (turn.alternates !== undefined && !Array.isArray(turn.alternates)) {
+                errors.push(`${path}.alternates must be a list`);
+            } else {
+                (turn.alternates || []).forEach((alt, j) => {
+                    const altPath = `${path}.alternates[${j}]`;
+                    if (!isObject(alt) || !isObject(alt.question) || typeof alt.question.text !== "string") {
+                        return errors.push(`${altPath}.question.text must be a string`);
+                    }
+                    if (!isVersion(alt.question.version)) errors.push(`${altPath}.question.version must be { index, count }`);
+                    if (alt.answer === null || alt.answer === undefined) return;
+                    if (!isObject(alt.answer) || typeof alt.answer.markdown !== "string") {
+                        errors.push(`${altPath}.answer.markdown must be a string, or answer null`);
+                    } else if (!isVersion(alt.answer.version)) {
+                        errors.push(`${altPath}.answer.version must be { index, count }`);
+                    }
+                });
+            }
+        });
+        return errors;
+    },
+
+    // Conversation title; sites often keep their own name as the title of every chat
+    getTitle: function (transcript) {
+        const title = (transcript.conversation.title || "").trim();
+        if (title && title !== transcript.site) return title;
+        if (transcript.turns.length === 0) return transcript.site;
+        const text = transcript.turns[0].question.text;
+        return text.length > 80 ? text.substring(0, 77) + "..." : text;
+    },
+
+    // "report.pdf (PDF, 1.2 MB)"
+    describeAttachment: function (attachment) {
+        const type = attachment.type && (attachment.type === "image" ? "image" : attachment.type.toUpperCase());
+        const details = [type, attachment.size].filter(Boolean);
+        const name = attachment.name || "Attachment";
+        return details.length ? `${name} (${details.join(", ")})` : name;
+    },
+
+    // Label of an answer that didn't finish, or "" for complete ones
+    getStatusLabel: function (turn) {
+        return TRANSCRIPT_STATUS_LABELS[turn.answer ? turn.answer.status : "pending"] || "";
+    },
+};
+
+// Make it available to the content script and the extension pages
+if (typeof module !== 'undefined') {
+    module.exports = { TRANSCRIPT_FORMAT, TRANSCRIPT_VERSION, TRANSCRIPT_STATUS_LABELS, TOC_TRANSCRIPT };
+}
@@ -11,6 +11,7 @@ window.TOC = window.TOC || {};
 
 window.TOC.CONSTANTS = {
     IDS: {
+        TOC_HOST: "toc-extension-host",
         TOC_CONTAINER: "toc-extension",
         TOC_TOGGLE_BTN: "toc-toggle-btn",
         SEARCH_INPUT: "toc-search-input",
@@ -21,12 +22,49 @@ window.TOC.CONSTANTS = {
         TOC_HEADER_CONTENT: "toc-header-content",
         TOC_DRAG_HANDLE: "toc-drag-handle",
         TOC_SEARCH_CONTAINER: "toc-search-container",
+        TOC_RESIZE_HANDLE: "toc-resize-handle",
         COLLAPSED: "collapsed",
+        RESIZED: "toc-resized",
     },
     CONSTRAINTS: {
         PADDING: 10,
-        MAX_QUERY_LENGTH: 70,
+        MAX_QUERY_LENGTH: 70, // Until the panel has been measured
+        MIN_QUERY_LENGTH: 30,
+        TRUNCATE_LINES: 3,
         TRUNCATE_SUFFIX: "...",
+        SNIPPET_CONTEXT: 30,
+        SNIPPET_LENGTH: 120,
+        MAX_PAGE_HIGHLIGHTS: 500, // In-page occurrences highlighted per search
+        MIN_WIDTH: 220,
+        MIN_HEIGHT: 200,
+        ARCHIVE_DELAY: 2000, // Quiet time (ms) before changed turns are sent to the archive
+    },
+    // Lines of a TOC row from top to bottom; optional lines are inserted at their place
+    ROW_PARTS: [
+        "toc-question-row", "toc-status", "toc-versions", "toc-attachments", "toc-note-editor",
+        "toc-note-row", "toc-search-snippet", "toc-outline", "toc-answer-row",
+    ],
+    // Search prefixes restricting the query to one field ("a: timeout")
+    SEARCH_SCOPES: {
+        q: "question", question: "question",
+        a: "answer", answer: "answer",
+        n: "note", note: "note", notes: "note",
+        f: "file", file: "file", files: "file",
+    },
+    // Code view downloads: language tag -> file extension (untagged and unknown: .txt)
+    CODE_FILE_EXTENSIONS: {
+        python: "py", py: "py", javascript: "js", js: "js", jsx: "jsx", typescript: "ts", ts: "ts",
+        tsx: "tsx", java: "java", kotlin: "kt", swift: "swift", go: "go", rust: "rs", ruby: "rb",
+        php: "php", c: "c", cpp: "cpp", "c++": "cpp", csharp: "cs", "c#": "cs", cs: "cs",
+        bash: "sh", sh: "sh", shell: "sh", zsh: "sh", powershell: "ps1", sql: "sql", html: "html",
+        xml: "xml", css: "css", scss: "scss", json: "json", yaml: "yml", yml: "yml", toml: "toml",
+        markdown: "md", md: "md", dockerfile: "Dockerfile", r: "r", lua: "lua", dart: "dart",
+        scala: "scala", perl: "pl", haskell: "hs", vue: "vue", svelte: "svelte",
+    },
+    VIRTUAL_LIST: {
+        ROW_HEIGHT: 38, // Estimate until rows have been measured
+        OVERSCAN: 8, // Rows rendered above and below the viewport
+        FALLBACK_VIEWPORT_HEIGHT: 600, // While the list is detached or hidden
     },
 };
 
@@ -38,6 +76,7 @@ window.TOC.PositionManager = class PositionManager {
     constructor(storageKey) {
         this.storageKey = storageKey;
         this.collapsedKey = storageKey + "-collapsed";
+        this.sizeKey = storageKey + "-size";
     }
 
     savePosition(x, y) {
@@ -58,6 +97,31 @@ window.TOC.PositionManager = class PositionManager {
         return saved ? JSON.parse(saved) : false;
     }
 
+    saveSize(width, height) {
+        localStorage.setItem(this.sizeKey, JSON.stringify({ width, height }));
+    }
+
+    getSavedSize() {
+        const saved = localStorage.getItem(this.sizeKey);
+        return saved ? JSON.parse(saved) : null;
+    }
+
+    // The size goes through CSS variables so the collapsed state can still override it
+    applySize(element, width, height) {
+        element.style.setProperty("--toc-width", `${width}px`);
+        element.style.setProperty("--toc-height", `${height}px`);
+        element.classList.add(window.TOC.CONSTANTS.CLASSES.RESIZED);
+    }
+
+    // Clamps a size between the minimum panel size and what fits in the viewport
+    constrainSize(width, height) {
+        const { PADDING, MIN_WIDTH, MIN_HEIGHT } = window.TOC.CONSTANTS.CONSTRAINTS;
+        return {
+            width: Math.max(MIN_WIDTH, Math.min(width, window.innerWidth - 2 * PADDING)),
+            height: Math.max(MIN_HEIGHT, Math.min(height, window.innerHeight - 2 * PADDING)),
+        };
+    }
+
     applyPosition(element, x, y) {
         const styles = {
             position: "fixed",
@@ -74,7 +138,18 @@ window.TOC.PositionManager = class PositionManager {
         });
     }
 
+    /**
+     * Keeps the panel on screen. Without explicit dimensions the stored size is used,
+     * so a collapsed or not yet rendered panel is placed where its expanded form fits.
+     */
     constrainToViewport(x, y, elementWidth, elementHeight) {
+        const savedSize = this.getSavedSize();
+        if (savedSize) {
+            const size = this.constrainSize(savedSize.width, savedSize.height);
+            elementWidth = elementWidth || size.width;
+            elementHeight = elementHeight || size.height;
+        }
+
         const padding = window.TOC.CONSTANTS.CONSTRAINTS.PADDING;
         const minX = padding;
         const minY = padding;
@@ -95,7 +170,7 @@ window.TOC.PositionManager = class PositionManager {
 window.TOC.ThemeManager = class ThemeManager {
     constructor() {
         this.settings = { ...DEFAULT_SETTINGS };
-        this.init();
+        this.loaded = this.init(); // Resolves once the stored settings are in
     }
 
     async init() {
@@ -116,11 +191,11 @@ window.TOC.ThemeManager = class ThemeManager {
         });
     }
 
+    // element: the TOC's shadow host, whose variables and classes the whole shadow tree inherits
     applyTheme(element, platformKey) {
         if (!element || !platformKey) return;
 
-        const themeId = (this.settings.themes && this.settings.themes[platformKey]) || DEFAULT_THEMES[platformKey] || "emerald";
-        const themeConfig = THEMES[themeId];
+        const themeConfig = this.getThemeConfig(platformKey);
         if (!themeConfig) return;
 
         const isDark = this.getEffectiveDarkMode();
@@ -130,23 +205,26 @@ window.TOC.ThemeManager = class ThemeManager {
         element.style.setProperty("--toc-accent-light", colors.accentLight, "important");
         element.style.setProperty("--toc-accent-hover", colors.accentHover, "important");
 
+        this.applySize(element);
         this.applyDarkMode(element);
     }
 
+    // Theme chosen for a platform: { name, light, dark } (see THEMES)
+    getThemeConfig(platformKey) {
+        const themeId = (this.settings.themes && this.settings.themes[platformKey]) || DEFAULT_THEMES[platformKey] || "emerald";
+        return THEMES[themeId];
+    }
+
+    // On the shadow host, so the panel, its menus and toasts all inherit the palette
     applyDarkMode(element) {
-        const isDark = this.getEffectiveDarkMode();
-        if (isDark) {
-            element.classList.add("toc-dark");
-        } else {
-            element.classList.remove("toc-dark");
-        }
+        element.classList.toggle("toc-dark", this.getEffectiveDarkMode());
+    }
 
-        // Handle standalone elements like toast
-        const toast = document.querySelector(".toc-toast");
-        if (toast) {
-            if (isDark) toast.classList.add("toc-dark");
-            else toast.classList.remove("toc-dark");
-        }
+    // Density preset from the tocSize setting: compact, normal or large
+    applySize(element) {
+        ["compact", "large"].forEach((size) => {
+            element.classList.toggle(`toc-size-${size}`, this.settings.tocSize === size);
+        });
     }
 
     getEffectiveDarkMode() {
@@ -159,7 +237,10 @@ window.TOC.ThemeManager = class ThemeManager {
     onSettingsChanged(callback) {
         const handler = (changes, area) => {
             if (area === "local") {
-                for (let key in changes) {
+                // Per-conversation data (pins, notes, ...) shares the storage area: ignore it here
+                const keys = Object.keys(changes).filter((key) => key in DEFAULT_SETTINGS);
+                if (keys.length === 0) return;
+                for (let key of keys) {
                     if (changes[key].newValue !== undefined) {
                         this.settings[key] = changes[key].newValue;
                     }
@@ -395,7 +476,8 @@ window.TOC.DragManager = class DragManager {
             this.positionManager.savePosition(newX, currentY);
             this.positionManager.saveCollapsedState(true);
         } else {
-            const expandedWidth = parseFloat(this.element.dataset.expandedWidth) || 300;
+            const savedSize = this.positionManager.getSavedSize();
+            const expandedWidth = parseFloat(this.element.dataset.expandedWidth) || (savedSize && savedSize.width) || 300;
 
             const newX = currentX - (expandedWidth - collapsedSize);
 
@@ -427,15 +509,147 @@ window.TOC.DragManager = class DragManager {
     }
 };
 
+// =============================================================================
+// ResizeManager - Drag-to-resize handle in the bottom-right corner
+// =============================================================================
+
+window.TOC.ResizeManager = class ResizeManager {
+    /**
+     * @param {HTMLElement} element - The TOC container.
+     * @param {PositionManager} positionManager - Persists the size per site.
+     * @param {Function} onResizeEnd - Called once the new size has been saved.
+     */
+    constructor(element, positionManager, onResizeEnd) {
+        this.element = element;
+        this.positionManager = positionManager;
+        this.onResizeEnd = onResizeEnd;
+        this.isResizing = false;
+        this.startX = 0;
+        this.startY = 0;
+        this.startWidth = 0;
+        this.startHeight = 0;
+
+        this.boundMouseMove = (e) => this.resize(e.clientX, e.clientY);
+        this.boundMouseUp = () => this.stopResize();
+        this.boundTouchMove = (e) => {
+            if (e.touches.length !== 1) return;
+            e.preventDefault();
+            this.resize(e.touches[0].clientX, e.touches[0].clientY);
+        };
+        this.boundTouchEnd = () => this.stopResize();
+
+        this.init();
+    }
+
+    init() {
+        const handle = this.element.querySelector(`.${window.TOC.CONSTANTS.CLASSES.TOC_RESIZE_HANDLE}`);
+        if (!handle) return;
+
+        handle.addEventListener("mousedown", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.startResize(e.clientX, e.clientY);
+            document.addEventListener("mousemove", this.boundMouseMove);
+            document.addEventListener("mouseup", this.boundMouseUp);
+        });
+
+        handle.addEventListener("touchstart", (e) => {
+            if (e.touches.length !== 1) return;
+            e.preventDefault();
+            this.startResize(e.touches[0].clientX, e.touches[0].clientY);
+            document.addEventListener("touchmove", this.boundTouchMove, { passive: false });
+            document.addEventListener("touchend", this.boundTouchEnd);
+            document.addEventListener("touchcancel", this.boundTouchEnd);
+        }, { passive: false });
+    }
+
+    startResize(clientX, clientY) {
+        const rect = this.element.getBoundingClientRect();
+        this.isResizing = true;
+        this.startX = clientX;
+        this.startY = clientY;
+        this.startWidth = rect.width;
+        this.startHeight = rect.height;
+
+        // Anchor the top-left corner so the panel grows towards the handle
+        this.positionManager.applyPosition(this.element, rect.left, rect.top);
+        this.element.style.transition = "none";
+        document.body.style.userSelect = "none";
+    }
+
+    resize(clientX, clientY) {
+        if (!this.isResizing) return;
+
+        const { PADDING, MIN_WIDTH, MIN_HEIGHT } = window.TOC.CONSTANTS.CONSTRAINTS;
+        const rect = this.element.getBoundingClientRect();
+        const maxWidth = window.innerWidth - rect.left - PADDING;
+        const maxHeight = window.innerHeight - rect.top - PADDING;
+
+        const width = Math.max(MIN_WIDTH, Math.min(this.startWidth + clientX - this.startX, maxWidth));
+        const height = Math.max(MIN_HEIGHT, Math.min(this.startHeight + clientY - this.startY, maxHeight));
+        this.positionManager.applySize(this.element, Math.round(width), Math.round(height));
+    }
+
+    stopResize() {
+        if (!this.isResizing) return;
+        this.isResizing = false;
+
+        const rect = this.element.getBoundingClientRect();
+        this.positionManager.saveSize(Math.round(rect.width), Math.round(rect.height));
+
+        this.element.style.transition = "";
+        document.body.style.userSelect = "";
+        document.removeEventListener("mousemove", this.boundMouseMove);
+        document.removeEventListener("mouseup", this.boundMouseUp);
+        document.removeEventListener("touchmove", this.boundTouchMove);
+        document.removeEventListener("touchend", this.boundTouchEnd);
+        document.removeEventListener("touchcancel", this.boundTouchEnd);
+
+        if (this.onResizeEnd) this.onResizeEnd();
+    }
+};
+
 // =============================================================================
 // SearchManager - Handles search functionality
 // =============================================================================
 
 window.TOC.SearchManager = class SearchManager {
-    constructor(searchInput, searchClear) {
+    /**
+     * Filters turns by data rather than by DOM rows, so search covers the whole
+     * conversation even when the list only renders the rows in view.
+     *
+     * Query syntax: an optional scope prefix `q:` (questions), `a:` (answers) or
+     * `n:` (notes), then the term. The regex and fuzzy toggles change how the
+     * term is matched; fuzzy results are ranked by relevance.
+     *
+     * @param {HTMLInputElement} searchInput
+     * @param {HTMLElement} searchClear
+     * @param {Object} callbacks
+     * @param {Function} callbacks.getSearchFields - key => { question, answer, note }.
+     * @param {Function} callbacks.onResults - Called with the matches ({ key, field, ranges, score }),
+     *     in display order, or null when the search is empty.
+     * @param {Function} callbacks.onNavigate - (occurrence) => void, next/previous match selected.
+     * @param {Function} [callbacks.getOccurrences] - (results, matcher, scope) => the occurrences
+     *     ({ key, ... }) that next/previous steps through. Defaults to one per matching turn.
+     */
+    constructor(searchInput, searchClear, { getSearchFields, onResults, onNavigate, getOccurrences }) {
         this.searchInput = searchInput;
         this.searchClear = searchClear;
-        this.allListItems = [];
+        this.getSearchFields = getSearchFields;
+        this.onResults = onResults;
+        this.onNavigate = onNavigate;
+        this.getOccurrences = getOccurrences || ((results) => results);
+        this.keys = [];
+        this.results = null;
+        this.occurrences = null;
+        this.currentIndex = -1;
+        this.lastQuery = null;
+        this.options = { regex: false, fuzzy: false };
+        this.inputTimer = null;
+
+        const container = searchInput.closest(`.${window.TOC.CONSTANTS.CLASSES.TOC_SEARCH_CONTAINER}`);
+        this.container = container;
+        this.counter = container.querySelector(".toc-search-count");
 
         this.init();
     }
@@ -443,26 +657,253 @@ window.TOC.SearchManager = class SearchManager {
     init() {
         this.searchInput.addEventListener("input", this.handleSearchInput.bind(this));
         this.searchClear.addEventListener("click", this.clearSearch.bind(this));
+
+        this.searchInput.addEventListener("keydown", (e) => {
+            if (e.key !== "Enter") return;
+            e.preventDefault();
+            this.step(e.shiftKey ? -1 : 1);
+        });
+
+        this.container.querySelectorAll(".toc-search-option").forEach((btn) => {
+            btn.addEventListener("click", () => {
+                const option = btn.getAttribute("data-option");
+                this.options[option] = !this.options[option];
+                btn.setAttribute("aria-pressed", String(this.options[option]));
+                this.updateSearchResults();
+            });
+        });
+
+        const prev = this.container.querySelector(".toc-search-prev");
+        const next = this.container.querySelector(".toc-search-next");
+        if (prev) prev.addEventListener("click", () => this.step(-1));
+        if (next) next.addEventListener("click", () => this.step(1));
     }
 
-    addListItems(items) {
-        this.allListItems.push(...items);
+    // Swaps in the current turns after an update and re-applies the active filter
+    setKeys(keys) {
+        this.keys = keys.slice();
+        this.updateSearchResults();
     }
 
     handleSearchInput() {
-        this.updateSearchResults();
         this.updateClearButtonVisibility();
+        // Long conversations: wait for a pause in typing
+        clearTimeout(this.inputTimer);
+        this.inputTimer = setTimeout(() => this.updateSearchResults(), 120);
+    }
+
+    /**
+     * Splits "a: timeout" into a field scope and the term.
+     * @returns {{scope: string|null, term: string}}
+     */
+    parseQuery(value) {
+        const match = value.match(/^\s*([a-z]+):\s*(.*)$/i);
+        const scope = match && window.TOC.CONSTANTS.SEARCH_SCOPES[match[1].toLowerCase()];
+        if (scope) return { scope, term: match[2].trim() };
+        return { scope: null, term: value.trim() };
+    }
+
+    /**
+     * Builds the matcher for the current mode: text => { ranges, score } or null.
+     * Throws on an invalid regular expression.
+     */
+    createMatcher(term) {
+        if (this.options.regex) {
+            const regex = new RegExp(term, "gi");
+            return (text) => {
+                const ranges = [];
+                regex.lastIndex = 0;
+                let m;
+                while ((m = regex.exec(text)) && ranges.length < 20) {
+                    if (m[0].length === 0) {
+                        regex.lastIndex++;
+                        continue;
+                    }
+                    ranges.push([m.index, m.index + m[0].length]);
+                }
+                return ranges.length ? { ranges, score: ranges.length } : null;
+            };
+        }
+
+        const lowerTerm = term.toLowerCase();
+        if (this.options.fuzzy) {
+            const tokens = lowerTerm.split(/\s+/).filter(Boolean);
+            return (text) => {
+                const lower = text.toLowerCase();
+                const ranges = [];
+                let score = 0;
+                for (const token of tokens) {
+                    const found = SearchManager.fuzzyFind(lower, token);
+                    if (!found) return null;
+                    ranges.push(...found.ranges);
+                    score += found.score;
+                }
+                return { ranges: SearchManager.mergeRanges(ranges), score };
+            };
+        }
+
+        return (text) => {
+            const lower = text.toLowerCase();
+            const ranges = [];
+            let index = lower.indexOf(lowerTerm);
+            while (index !== -1 && ranges.length < 20) {
+                ranges.push([index, index + lowerTerm.length]);
+                index = lower.indexOf(lowerTerm, index + lowerTerm.length);
+            }
+            return ranges.length ? { ranges, score: ranges.length } : null;
+        };
+    }
+
+    /**
+     * Fuzzy match of one token: an exact substring scores best, otherwise the
+     * tightest in-order subsequence. Matches spread too thin are rejected.
+     */
+    static fuzzyFind(text, token) {
+        const exact = text.indexOf(token);
+        if (exact !== -1) {
+            const wordStart = exact === 0 || /\W/.test(text[exact - 1]);
+            return { ranges: [[exact, exact + token.length]], score: 100 + (wordStart ? 20 : 0) };
+        }
+
+        let best = null;
+        let start = text.indexOf(token[0]);
+        // Bounded number of attempts keeps long answers cheap
+        for (let attempts = 0; start !== -1 && attempts < 50; attempts++) {
+            const positions = [start];
+            let pos = start;
+            for (let i = 1; i < token.length && pos !== -1; i++) {
+                pos = text.indexOf(token[i], pos + 1);
+                positions.push(pos);
+            }
+            if (pos === -1) break;
+
+            const span = pos - start + 1;
+            if (span <= token.length * 3 && (!best || span < best.span)) best = { positions, span };
+            start = text.indexOf(token[0], start + 1);
+        }
+        if (!best) return null;
+
+        const ranges = best.positions.map((p) => [p, p + 1]);
+        return { ranges: SearchManager.mergeRanges(ranges), score: 60 * token.length / best.span };
+    }
+
+    static mergeRanges(ranges) {
+        const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        sorted.forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+            else merged.push([start, end]);
+        });
+        return merged;
     }
 
     updateSearchResults() {
-        const searchTerm = this.searchInput.value.toLowerCase().trim();
+        clearTimeout(this.inputTimer);
+        this.container.classList.remove("toc-search-invalid");
+        const { scope, term } = this.parseQuery(this.searchInput.value);
+
+        // The current match only carries over while the query itself is unchanged
+        const query = JSON.stringify([scope, term, this.options]);
+        if (query !== this.lastQuery) this.currentIndex = -1;
+        this.lastQuery = query;
+
+        if (term === "") {
+            this.setResults(null);
+            return;
+        }
 
-        this.allListItems.forEach((item) => {
-            const text = item.querySelector("a").textContent.toLowerCase();
-            const answer = (item.getAttribute("data-answer") || "").toLowerCase();
-            const shouldShow = searchTerm === "" || text.includes(searchTerm) || answer.includes(searchTerm);
-            item.style.display = shouldShow ? "block" : "none";
+        let matcher;
+        try {
+            matcher = this.createMatcher(term);
+        } catch (e) {
+            // Incomplete regex while typing: flag it and show nothing
+            this.container.classList.add("toc-search-invalid");
+            this.setResults([], null, scope);
+            return;
+        }
+
+        // Questions weigh more than file names and notes, those more than answers
+        const weights = { question: 1.5, file: 1.3, note: 1.2, answer: 1 };
+        const fields = scope ? [scope] : ["question", "answer", "note", "file"];
+        const results = [];
+
+        this.keys.forEach((key, order) => {
+            const values = this.getSearchFields(key);
+            let best = null;
+            fields.forEach((field) => {
+                if (!values[field]) return;
+                const found = matcher(values[field]);
+                if (!found) return;
+                const score = found.score * weights[field];
+                if (!best || score > best.score) best = { key, field, ranges: found.ranges, score, order };
+            });
+            if (best) results.push(best);
         });
+
+        if (this.options.fuzzy) {
+            results.sort((a, b) => (b.score - a.score) || (a.order - b.order));
+        }
+
+        this.setResults(results, matcher, scope);
+    }
+
+    setResults(results, matcher, scope) {
+        const previous = this.getCurrentMatch();
+        this.results = results;
+        this.occurrences = results && results.length ? this.getOccurrences(results, matcher, scope) : results;
+        // Keep the current match when the conversation updates under an unchanged search
+        this.currentIndex = this.occurrences && previous
+            ? this.occurrences.findIndex((o) => o.key === previous.key)
+            : -1;
+        this.updateCounter();
+        this.onResults(results);
+    }
+
+    // Moves to the next/previous occurrence and lets the UI scroll to it
+    step(delta) {
+        if (!this.occurrences || this.occurrences.length === 0) return;
+        const count = this.occurrences.length;
+        this.currentIndex = this.currentIndex === -1
+            ? (delta > 0 ? 0 : count - 1)
+            : (this.currentIndex + delta + count) % count;
+        this.updateCounter();
+        this.onNavigate(this.occurrences[this.currentIndex]);
+    }
+
+    /**
+     * Selects the first occurrence in a turn, preferring the given field (a click on a
+     * search result). Returns false when the turn has no occurrence.
+     */
+    goTo(key, field) {
+        if (!this.occurrences) return false;
+        let index = this.occurrences.findIndex((o) => o.key === key && o.field === field);
+        if (index === -1) index = this.occurrences.findIndex((o) => o.key === key);
+        if (index === -1) return false;
+
+        this.currentIndex = index;
+        this.updateCounter();
+        this.onNavigate(this.occurrences[index]);
+        return true;
+    }
+
+    getCurrentMatch() {
+        return this.occurrences && this.currentIndex !== -1 ? this.occurrences[this.currentIndex] : null;
+    }
+
+    updateCounter() {
+        if (!this.counter) return;
+        this.container.classList.toggle("toc-searching", !!this.occurrences);
+        const count = this.occurrences ? this.occurrences.length : 0;
+        if (!this.occurrences) {
+            this.counter.textContent = "";
+        } else if (count === 0) {
+            this.counter.textContent = "No matches";
+        } else if (this.currentIndex === -1) {
+            this.counter.textContent = `${count} ${count === 1 ? "match" : "matches"}`;
+        } else {
+            this.counter.textContent = `${this.currentIndex + 1} of ${count}`;
+        }
     }
 
     updateClearButtonVisibility() {
@@ -477,175 +918,1255 @@ window.TOC.SearchManager = class SearchManager {
     }
 
     reset() {
-        this.allListItems = [];
+        this.keys = [];
     }
 };
 
 // =============================================================================
-// UI - Main TOC UI class
+// PageHighlighter - Highlights search matches inside the host conversation
 // =============================================================================
 
-window.TOC.UI = class UI {
-    constructor(siteConfig) {
-        this.config = siteConfig;
-        this.positionManager = new window.TOC.PositionManager(siteConfig.storageKey);
-        this.themeManager = new window.TOC.ThemeManager();
-        this.searchManager = null;
-        this.dragManager = null;
-        this.createTimer = null; // Debounce timer
-        this.lastCreateTime = 0; // Prevent rapid creates
-
-        this.init();
+window.TOC.PageHighlighter = class PageHighlighter {
+    /**
+     * Marks text ranges in the host page. Uses the CSS Custom Highlight API, which
+     * leaves the host DOM untouched; browsers without it get <mark> wrappers that
+     * are unwrapped again on clear().
+     */
+    constructor() {
+        this.native = typeof CSS !== "undefined" && !!CSS.highlights && typeof Highlight === "function";
+        this.marks = [];
+        this.current = null;
     }
 
-    init() {
-        this.setupEventListeners();
-        this.config.setupMonitor(() => this.debouncedCreateTOC());
-        this.delayedCreateTOC();
-    }
+    /**
+     * Runs a search matcher (text => { ranges } or null) over the visible text of an
+     * element and returns the matches as DOM Ranges.
+     */
+    static findRanges(element, matcher) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest(`script, style, noscript, #${window.TOC.CONSTANTS.IDS.TOC_HOST}`)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
 
-    setupEventListeners() {
-        window.addEventListener("load", () => this.delayedCreateTOC());
-        window.addEventListener("pageshow", () => this.delayedCreateTOC());
-        window.addEventListener("resize", () => this.handleWindowResize());
+        const nodes = [];
+        let text = "";
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: text.length });
+            text += walker.currentNode.data;
+        }
 
-        document.addEventListener("click", (e) => this.handleDocumentClick(e), true);
-        document.addEventListener("keydown", (e) => this.handleKeyDown(e), true);
+        const found = text && matcher(text);
+        if (!found) return [];
 
-        // Listen for messages from background script (Native Commands API)
-        const api = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome : (typeof browser !== 'undefined' && browser.runtime) ? browser : null;
-        if (api) {
-            api.runtime.onMessage.addListener((request) => {
-                if (request.action === "toggle-toc") {
-                    this.toggleTOC();
-                }
-            });
-        }
+        // Text offset -> (text node, offset); range ends prefer the earlier node
+        const locate = (offset, isEnd) => {
+            for (let i = nodes.length - 1; i >= 0; i--) {
+                const { node, start } = nodes[i];
+                if (isEnd ? start < offset : start <= offset) return [node, offset - start];
+            }
+            return [nodes[0].node, 0];
+        };
 
-        // Listen for theme/settings changes from popup
-        this.themeManager.onSettingsChanged(() => {
-            // Reload settings first, then rebuild the TOC to reflect changes (e.g. showAnswers)
-            this.themeManager.loadSettings().then(() => {
-                this.createTOC(true);
-            });
+        return found.ranges.map(([start, end]) => {
+            const range = document.createRange();
+            range.setStart(...locate(start, false));
+            range.setEnd(...locate(end, true));
+            return range;
         });
     }
 
-    toggleTOC() {
-        const tocContainer = document.getElementById(window.TOC.CONSTANTS.IDS.TOC_CONTAINER);
-        if (!tocContainer) {
-            this.createTOC();
-            return;
+    /**
+     * Replaces the current highlights. Returns one target per range, to pass to
+     * setCurrent() and scrollTo(): the Range itself, or its <mark> elements.
+     */
+    highlight(ranges) {
+        this.clear();
+        if (ranges.length === 0) return [];
+
+        if (this.native) {
+            CSS.highlights.set("toc-search-match", new Highlight(...ranges));
+            return ranges;
         }
+        return this.wrapRanges(ranges);
+    }
 
-        const isCollapsed = tocContainer.classList.contains(window.TOC.CONSTANTS.CLASSES.COLLAPSED);
+    wrapRanges(ranges) {
+        // Collect the text node segments of every range before touching the DOM
+        const segments = new Map(); // text node -> [{ start, end, index }]
+        ranges.forEach((range, index) => {
+            const root = range.commonAncestorContainer;
+            const walker = document.createTreeWalker(root.nodeType === Node.TEXT_NODE ? root.parentNode : root, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                if (!range.intersectsNode(node)) continue;
+                const start = node === range.startContainer ? range.startOffset : 0;
+                const end = node === range.endContainer ? range.endOffset : node.length;
+                if (start >= end) continue;
+                if (!segments.has(node)) segments.set(node, []);
+                segments.get(node).push({ start, end, index });
+            }
+        });
 
-        if (isCollapsed) {
-            // Expand
-            tocContainer.classList.remove(window.TOC.CONSTANTS.CLASSES.COLLAPSED);
-            this.positionManager.saveCollapsedState(false);
+        const targets = ranges.map(() => []);
+        segments.forEach((list, node) => {
+            // Right to left, so the offsets of the remaining segments stay valid
+            list.sort((a, b) => b.start - a.start).forEach(({ start, end, index }) => {
+                const text = node.splitText(start);
+                text.splitText(end - start);
+                const mark = document.createElement("mark");
+                mark.className = "toc-page-mark";
+                text.replaceWith(mark);
+                mark.appendChild(text);
+                this.marks.push(mark);
+                targets[index].push(mark);
+            });
+        });
+        targets.forEach((marks) => marks.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)));
+        return targets;
+    }
+
+    // Emphasizes the selected occurrence
+    setCurrent(target) {
+        if (this.native) {
+            if (target) CSS.highlights.set("toc-search-current", new Highlight(target));
+            else CSS.highlights.delete("toc-search-current");
         } else {
-            // Collapse
-            tocContainer.classList.add(window.TOC.CONSTANTS.CLASSES.COLLAPSED);
-            this.positionManager.saveCollapsedState(true);
+            if (this.current) this.current.forEach((mark) => mark.classList.remove("toc-page-mark-current"));
+            if (target) target.forEach((mark) => mark.classList.add("toc-page-mark-current"));
         }
+        this.current = target || null;
+    }
 
-        this.showToast(isCollapsed ? "TOC expanded" : "TOC collapsed");
+    scrollTo(target) {
+        const node = this.native ? target.startContainer : target[0];
+        const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        if (!element || !element.isConnected) return false;
+        element.scrollIntoView({ behavior: "smooth", block: "center" });
+        return true;
     }
 
-    delayedCreateTOC() {
-        setTimeout(() => {
-            console.log(`[TOC] Initial create for ${this.config.name}`);
-            this.createTOC();
-        }, this.config.delays.pageLoad);
+    clear() {
+        if (this.native) {
+            CSS.highlights.delete("toc-search-match");
+            CSS.highlights.delete("toc-search-current");
+        }
+        this.marks.forEach((mark) => {
+            const parent = mark.parentNode;
+            if (!parent) return;
+            mark.replaceWith(...mark.childNodes);
+            // Merge the split text back into the host's original text node
+            parent.normalize();
+        });
+        this.marks = [];
+        this.current = null;
     }
+};
+
+// =============================================================================
+// VirtualList - Windowed rendering of the TOC rows
+// =============================================================================
 
-    // Debounced version - prevents multiple rapid calls
-    debouncedCreateTOC() {
-        // Clear any pending timer
-        if (this.createTimer) {
-            clearTimeout(this.createTimer);
+window.TOC.VirtualList = class VirtualList {
+    /**
+     * Renders only the rows in (and just around) the viewport. Rows are absolutely
+     * positioned from measured heights; rows never measured use the running average.
+     * @param {HTMLElement} viewport - The scrolling <ul>.
+     * @param {Object} callbacks
+     * @param {Function} callbacks.renderRow - (key, index) => <li>, created or brought up to date.
+     * @param {Function} callbacks.releaseRow - (key) => void, the row left the window.
+     * @param {Function} callbacks.isRetained - (li) => boolean, keep an off-window row (e.g. while editing).
+     */
+    constructor(viewport, { renderRow, releaseRow, isRetained }) {
+        this.viewport = viewport;
+        this.renderRow = renderRow;
+        this.releaseRow = releaseRow;
+        this.isRetained = isRetained || (() => false);
+
+        this.keys = [];
+        this.indexes = new Map(); // key -> index in keys
+        this.heights = new Map(); // key -> measured height
+        this.offsets = [0];
+        this.estimate = window.TOC.CONSTANTS.VIRTUAL_LIST.ROW_HEIGHT;
+        this.rendered = new Map(); // key -> li
+        this.renderQueued = false;
+
+        // Gives the list its full scroll height
+        this.spacer = document.createElement("li");
+        this.spacer.className = "toc-virtual-spacer";
+        this.spacer.setAttribute("aria-hidden", "true");
+        this.viewport.appendChild(this.spacer);
+
+        this.viewport.addEventListener("scroll", () => this.scheduleRender(), { passive: true });
+        if (typeof ResizeObserver !== "undefined") {
+            // Resize handle, density change, collapse/expand
+            this.resizeObserver = new ResizeObserver(() => this.scheduleRender());
+            this.resizeObserver.observe(this.viewport);
         }
+    }
 
-        // Debounce: wait 300ms before creating
-        this.createTimer = setTimeout(() => {
-            this.createTOC();
-        }, 300);
+    setKeys(keys) {
+        this.keys = keys;
+        this.indexes = new Map(keys.map((key, index) => [key, index]));
+        this.computeOffsets();
+        this.render();
     }
 
-    createTOC(force = false) {
-        // Prevent creating more than once per second
-        const now = Date.now();
-        if (!force && now - this.lastCreateTime < 1000) {
-            console.log("[TOC] Skipping - too soon since last create");
-            return;
+    indexOf(key) {
+        return this.indexes.has(key) ? this.indexes.get(key) : -1;
+    }
+
+    computeOffsets() {
+        const offsets = new Array(this.keys.length + 1);
+        offsets[0] = 0;
+        for (let i = 0; i < this.keys.length; i++) {
+            offsets[i + 1] = offsets[i] + (this.heights.get(this.keys[i]) || this.estimate);
+        }
+        this.offsets = offsets;
+        this.spacer.style.height = `${offsets[offsets.length - 1]}px`;
+    }
+
+    // Index of the row at vertical position y (binary search over the offsets)
+    findIndex(y) {
+        let low = 0;
+        let high = this.keys.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.offsets[mid] <= y) low = mid;
+            else high = mid - 1;
         }
-        this.lastCreateTime = now;
+        return Math.max(0, low);
+    }
 
-        const questions = this.config.getQueries();
-        if (questions.length === 0) {
-            console.log("[TOC] No questions found, not creating TOC");
-            return;
+    scheduleRender() {
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            this.render();
+        });
+    }
+
+    render() {
+        const { OVERSCAN, FALLBACK_VIEWPORT_HEIGHT } = window.TOC.CONSTANTS.VIRTUAL_LIST;
+        const top = this.viewport.scrollTop;
+        const height = this.viewport.clientHeight || FALLBACK_VIEWPORT_HEIGHT;
+        const start = Math.max(0, this.findIndex(top) - OVERSCAN);
+        const end = Math.min(this.keys.length, this.findIndex(top + height) + 1 + OVERSCAN);
+
+        const wanted = new Set(this.keys.slice(start, end));
+        this.rendered.forEach((li, key) => {
+            if (wanted.has(key)) return;
+            if (this.indexes.has(key) && this.isRetained(li)) return;
+            li.remove();
+            this.rendered.delete(key);
+            this.releaseRow(key);
+        });
+
+        for (let i = start; i < end; i++) {
+            const key = this.keys[i];
+            const li = this.renderRow(key, i);
+            if (li.parentNode !== this.viewport) this.viewport.appendChild(li);
+            this.rendered.set(key, li);
         }
 
-        // #9: Preserve active search term across rebuilds
-        const existingTOC = document.getElementById(window.TOC.CONSTANTS.IDS.TOC_CONTAINER);
-        const activeSearch = existingTOC
-            ? (existingTOC.querySelector(`#${window.TOC.CONSTANTS.IDS.SEARCH_INPUT}`)?.value || "")
-            : "";
+        this.measure();
+    }
 
-        // Remove existing TOC and do a full rebuild each time
-        if (existingTOC) existingTOC.remove();
+    // Records the real height of rendered rows and re-lays out if any estimate was off
+    measure() {
+        let changed = false;
+        this.rendered.forEach((li, key) => {
+            const height = li.offsetHeight;
+            if (height && height !== this.heights.get(key)) {
+                this.heights.set(key, height);
+                changed = true;
+            }
+        });
 
-        const tocContainer = this.buildTOCStructure(questions);
+        if (changed) {
+            let total = 0;
+            this.heights.forEach((height) => { total += height; });
+            this.estimate = total / this.heights.size;
+            this.computeOffsets();
+        }
 
-        // Wait for ThemeManager settings to load before applying
-        this.themeManager.loadSettings().then(() => {
-            this.themeManager.applyTheme(tocContainer, this.config.platformKey);
+        this.rendered.forEach((li, key) => {
+            li.style.top = `${this.offsets[this.indexOf(key)]}px`;
         });
+    }
 
-        this.setupTOCFunctionality(tocContainer);
+    // Row heights depend on width and density: measure everything again
+    invalidateHeights() {
+        this.heights.clear();
+        this.estimate = window.TOC.CONSTANTS.VIRTUAL_LIST.ROW_HEIGHT;
+        this.computeOffsets();
+        this.render();
+    }
 
-        // #9: Restore search term after setup so the new list items get filtered
-        if (activeSearch && this.searchManager) {
-            const searchInput = tocContainer.querySelector(`#${window.TOC.CONSTANTS.IDS.SEARCH_INPUT}`);
-            if (searchInput) {
-                searchInput.value = activeSearch;
-                this.searchManager.updateSearchResults();
-                this.searchManager.updateClearButtonVisibility();
-            }
+    // Scrolls the list (never the page) just enough to show the row at index
+    scrollToIndex(index) {
+        if (index < 0 || index >= this.keys.length) return;
+        const top = this.offsets[index];
+        const bottom = this.offsets[index + 1];
+        const viewHeight = this.viewport.clientHeight || window.TOC.CONSTANTS.VIRTUAL_LIST.FALLBACK_VIEWPORT_HEIGHT;
+
+        if (top < this.viewport.scrollTop) {
+            this.viewport.scrollTop = top;
+        } else if (bottom > this.viewport.scrollTop + viewHeight) {
+            this.viewport.scrollTop = bottom - viewHeight;
         }
+        this.render();
+    }
 
-        this.applyInitialPosition(tocContainer);
+    getRenderedRow(key) {
+        return this.rendered.get(key) || null;
+    }
 
-        document.body.appendChild(tocContainer);
-        console.log(`[TOC] Created with ${questions.length} items`);
+    // Drops every rendered row (refresh button)
+    reset() {
+        this.rendered.forEach((li, key) => {
+            li.remove();
+            this.releaseRow(key);
+        });
+        this.rendered.clear();
+        this.heights.clear();
+        this.estimate = window.TOC.CONSTANTS.VIRTUAL_LIST.ROW_HEIGHT;
     }
+};
 
-    buildTOCStructure(questions) {
-        const CONSTANTS = window.TOC.CONSTANTS;
+// =============================================================================
+// ScrollSpy - Tracks which turn is currently in view in the host page
+// =============================================================================
 
-        const tocContainer = document.createElement("div");
-        tocContainer.id = CONSTANTS.IDS.TOC_CONTAINER;
-        // Theme is now applied dynamically via ThemeManager
+window.TOC.ScrollSpy = class ScrollSpy {
+    /**
+     * @param {function} onChange - Called with (key, index, total) when the active turn changes.
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.observer = null;
+        this.root = null;
+        this.keys = [];
+        this.targets = new Map(); // host element -> turn key
+        this.visible = new Set(); // host elements currently intersecting
+        this.activeKey = null;
+    }
 
-        // Header
-        const tocHeader = document.createElement("div");
-        tocHeader.className = CONSTANTS.CLASSES.TOC_HEADER;
+    // Nearest scrollable ancestor; null means the page itself scrolls
+    static findScrollContainer(element) {
+        for (let el = element && element.parentElement; el && el !== document.body; el = el.parentElement) {
+            const overflowY = getComputedStyle(el).overflowY;
+            if ((overflowY === "auto" || overflowY === "scroll" || overflowY === "overlay") && el.scrollHeight > el.clientHeight) {
+                return el;
+            }
+        }
+        return null;
+    }
 
-        const headerContent = document.createElement("div");
-        headerContent.className = CONSTANTS.CLASSES.TOC_HEADER_CONTENT;
+    /**
+     * Observes the prompt and answer elements of every turn.
+     * @param {string[]} keys - Turn keys in conversation order.
+     * @param {Map} turns - Turn key -> query object ({ element, answerElement }).
+     */
+    observe(keys, turns) {
+        this.keys = keys;
+
+        const firstTurn = keys.length ? turns.get(keys[0]) : null;
+        const root = ScrollSpy.findScrollContainer(firstTurn && firstTurn.element);
+        if (!this.observer || root !== this.root) {
+            this.disconnect();
+            this.root = root;
+            // Ignore the bottom 40% so the next prompt only counts once the reader gets to it
+            this.observer = new IntersectionObserver((entries) => this.handleEntries(entries), {
+                root,
+                rootMargin: "0px 0px -40% 0px",
+                threshold: 0,
+            });
+        }
 
-        const dragHandle = document.createElement("div");
-        dragHandle.className = CONSTANTS.CLASSES.TOC_DRAG_HANDLE;
-        dragHandle.title = "Drag to move";
+        const next = new Map();
+        keys.forEach((key) => {
+            const turn = turns.get(key);
+            if (!turn || typeof turn === "string") return;
+            [turn.element, turn.answerElement].forEach((el) => {
+                if (el) next.set(el, key);
+            });
+        });
 
-        const title = document.createElement("h2");
-        title.textContent = "Table of Contents";
+        this.targets.forEach((key, el) => {
+            if (!next.has(el)) {
+                this.observer.unobserve(el);
+                this.visible.delete(el);
+            }
+        });
+        next.forEach((key, el) => {
+            if (!this.targets.has(el)) this.observer.observe(el);
+        });
+        this.targets = next;
 
-        // Header buttons container
-        const headerButtons = document.createElement("div");
-        headerButtons.className = "toc-header-buttons";
+        this.updateActive();
+    }
+
+    handleEntries(entries) {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) this.visible.add(entry.target);
+            else this.visible.delete(entry.target);
+        });
+        this.updateActive();
+    }
+
+    // The earliest turn with a visible prompt or answer is the one being read
+    updateActive() {
+        let index = -1;
+        this.visible.forEach((el) => {
+            const i = this.keys.indexOf(this.targets.get(el));
+            if (i !== -1 && (index === -1 || i < index)) index = i;
+        });
+        if (index === -1) return;
+
+        const key = this.keys[index];
+        if (key === this.activeKey) return;
+        this.activeKey = key;
+        this.onChange(key, index, this.keys.length);
+    }
+
+    disconnect() {
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        this.targets = new Map();
+        this.visible.clear();
+    }
+};
+
+// =============================================================================
+// ConversationStore - Per-conversation data persisted in storage.local
+// =============================================================================
+
+window.TOC.ConversationStore = class ConversationStore {
+    /**
+     * @param {string} namespace - Storage key prefix, e.g. "toc-pins".
+     */
+    constructor(namespace) {
+        this.namespace = namespace;
+        this.url = null;
+        this.items = {};
+    }
+
+    // Query strings and hashes don't identify a conversation on any supported site
+    static getConversationUrl() {
+        return location.origin + location.pathname;
+    }
+
+    static getStorage() {
+        const api = (typeof chrome !== 'undefined' && chrome.storage) ? chrome : (typeof browser !== 'undefined' && browser.storage) ? browser : null;
+        return (api && api.storage && api.storage.local) ? api.storage.local : null;
+    }
+
+    get storageKey() {
+        return `${this.namespace}:${this.url}`;
+    }
+
+    load(url = ConversationStore.getConversationUrl()) {
+        this.url = url;
+        this.items = {};
+        const storage = ConversationStore.getStorage();
+        if (!storage) return Promise.resolve(this.items);
+
+        return new Promise((resolve) => {
+            const key = this.storageKey;
+            storage.get({ [key]: {} }, (result) => {
+                // Ignore a late answer for a conversation we already navigated away from
+                if (key === this.storageKey) this.items = result[key] || {};
+                resolve(this.items);
+            });
+        });
+    }
+
+    save() {
+        const storage = ConversationStore.getStorage();
+        if (!storage) return;
+        if (Object.keys(this.items).length === 0) storage.remove(this.storageKey);
+        else storage.set({ [this.storageKey]: this.items });
+    }
+
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.items, key);
+    }
+
+    get(key) {
+        return this.has(key) ? this.items[key] : null;
+    }
+
+    entries() {
+        return Object.entries(this.items);
+    }
+
+    set(key, value) {
+        this.items[key] = value;
+        this.save();
+    }
+
+    remove(key) {
+        delete this.items[key];
+        this.save();
+    }
+
+    // Moves an entry to a turn's new key (its prompt was edited), merged into changes
+    rename(from, to, changes = {}) {
+        if (!this.has(from)) return;
+        this.items[to] = { ...this.items[from], ...changes };
+        delete this.items[from];
+        this.save();
+    }
+};
+
+// =============================================================================
+// VersionHistory - Every prompt edit and regenerated answer seen on the page
+// =============================================================================
+
+/**
+ * Sites render one branch of an edited conversation at a time. This remembers what each
+ * version looked like while it was shown, so exports can include the ones no longer on
+ * the page. A turn's slot is its position plus the versions picked in the turns above it,
+ * since switching an earlier turn swaps the whole branch below. Kept in memory for the
+ * open conversation only.
+ */
+window.TOC.VersionHistory = class VersionHistory {
+    constructor() {
+        this.slots = new Map(); // slot id -> { promptCount, prompts: Map<index, { text, answerCount, answers }> }
+        this.turnSlots = new Map(); // turn key -> slot id in the branch currently shown
+    }
+
+    clear() {
+        this.slots.clear();
+        this.turnSlots.clear();
+    }
+
+    record(keys, questions) {
+        this.turnSlots.clear();
+        let branch = "";
+        questions.forEach((item, position) => {
+            if (typeof item === "string") return;
+            // Before the first edit or regeneration a turn has no switcher: it is version 1 of 1
+            const prompt = item.promptVersion || { index: 1, count: 1 };
+            const answer = item.answerVersion || { index: 1, count: 1 };
+            const slotId = `${position}@${branch}`;
+            this.turnSlots.set(keys[position], slotId);
+            if (prompt.count > 1 || answer.count > 1) branch += `${position}:${prompt.index}.${answer.index};`;
+
+            let slot = this.slots.get(slotId);
+            if (!slot) {
+                slot = { promptCount: 1, prompts: new Map() };
+                this.slots.set(slotId, slot);
+            }
+            slot.promptCount = Math.max(slot.promptCount, prompt.count);
+
+            let version = slot.prompts.get(prompt.index);
+            if (!version) {
+                version = { text: item.text, answerCount: 1, answers: new Map() };
+                slot.prompts.set(prompt.index, version);
+            }
+            version.text = item.text;
+            version.answerCount = Math.max(version.answerCount, answer.count);
+
+            // Markdown is only worth keeping for turns that actually have alternatives
+            const recorded = version.answers.get(answer.index);
+            const versioned = slot.promptCount > 1 || version.answerCount > 1;
+            if (!recorded || recorded.text !== item.answer || (versioned && recorded.markdown === null)) {
+                version.answers.set(answer.index, {
+                    text: item.answer,
+                    markdown: versioned ? (item.answerMarkdown || item.answer) : null,
+                });
+            }
+        });
+    }
+
+    /**
+     * Versions of a turn seen earlier but not shown now, in version order:
+     * [{ prompt: { index, count }, text, answer: { index, count }, answerText, answerMarkdown }]
+     */
+    getAlternates(key, item) {
+        const slot = this.slots.get(this.turnSlots.get(key));
+        if (!slot || typeof item === "string") return [];
+        const current = [(item.promptVersion || { index: 1 }).index, (item.answerVersion || { index: 1 }).index];
+
+        const alternates = [];
+        Array.from(slot.prompts.keys()).sort((a, b) => a - b).forEach((promptIndex) => {
+            const version = slot.prompts.get(promptIndex);
+            Array.from(version.answers.keys()).sort((a, b) => a - b).forEach((answerIndex) => {
+                if (promptIndex === current[0] && answerIndex === current[1]) return;
+                const recorded = version.answers.get(answerIndex);
+                alternates.push({
+                    prompt: { index: promptIndex, count: slot.promptCount },
+                    text: version.text,
+                    answer: { index: answerIndex, count: version.answerCount },
+                    answerText: recorded.text,
+                    answerMarkdown: recorded.markdown || recorded.text,
+                });
+            });
+        });
+        return alternates;
+    }
+};
+
+// =============================================================================
+// ConversationArchiver - Feeds the opt-in conversation archive (archive.js)
+// =============================================================================
+
+/**
+ * The archive lives in the background script's IndexedDB. This remembers a signature of
+ * each turn already sent for the open conversation and, once the page has been quiet for
+ * a moment, sends only the turns that are new or changed. Turns still being answered wait
+ * until they are done.
+ */
+window.TOC.ConversationArchiver = class ConversationArchiver {
+    constructor(config) {
+        this.config = config;
+        this.id = null; // "<platform>:<conversationId>" the signatures belong to
+        this.sent = new Map(); // turn key -> signature of what the archive has
+        this.pending = null;
+        this.timer = null;
+    }
+
+    // Drops a snapshot not sent yet, e.g. on conversation switch
+    reset() {
+        clearTimeout(this.timer);
+        this.pending = null;
+    }
+
+    schedule(turns) {
+        // Read the id now: the URL may already point elsewhere when the timer fires
+        this.pending = { conversationId: this.config.getConversationId(), turns: new Map(turns) };
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), window.TOC.CONSTANTS.CONSTRAINTS.ARCHIVE_DELAY);
+    }
+
+    flush() {
+        const { conversationId, turns } = this.pending || {};
+        this.pending = null;
+        if (!conversationId) return;
+
+        const def = this.config.definition;
+        const id = `${def.id}:${conversationId}`;
+        if (id !== this.id) {
+            this.id = id;
+            this.sent = new Map();
+        }
+
+        const keys = [];
+        const changed = [];
+        turns.forEach((item, key) => {
+            if (typeof item === "string" || item.status === "pending" || item.status === "streaming") return;
+            keys.push(key);
+            const signature = ConversationArchiver.getSignature(item);
+            if (this.sent.get(key) !== signature) changed.push({ key, signature, item });
+        });
+        if (changed.length === 0) return;
+
+        changed.forEach(({ key, signature }) => this.sent.set(key, signature));
+        const snapshot = {
+            id,
+            platform: def.id,
+            site: this.config.name,
+            conversationId,
+            url: window.TOC.ConversationStore.getConversationUrl(),
+            title: document.title,
+            keys,
+            turns: changed.map(({ key, item }) => ConversationArchiver.toRecord(key, item)),
+        };
+
+        const api = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome : (typeof browser !== 'undefined' && browser.runtime) ? browser : null;
+        if (!api) return;
+        api.runtime.sendMessage({ action: "toc-archive", snapshot }, (response) => {
+            if (!api.runtime.lastError && response && response.ok) return;
+            // Not stored: send these turns again with the next snapshot
+            if (this.id !== id) return;
+            changed.forEach(({ key, signature }) => {
+                if (this.sent.get(key) === signature) this.sent.delete(key);
+            });
+        });
+    }
+
+    static getSignature(item) {
+        return TOC_ADAPTERS.hash(JSON.stringify([
+            item.text, item.answer, item.status, item.promptVersion, item.answerVersion,
+            (item.attachments || []).map((a) => a.name),
+        ]));
+    }
+
+    // Query object -> archived turn (see the schema in archive.js); drops element references
+    static toRecord(key, item) {
+        return {
+            key,
+            prompt: item.text,
+            attachments: (item.attachments || []).map(({ name, type, size }) => ({ name, type, size })),
+            answer: {
+                text: item.answer || "",
+                markdown: item.answerMarkdown || item.answer || "",
+                outline: (item.answerOutline || []).map(({ text, depth }) => ({ text, depth })),
+                code: (item.answerCode || []).map(({ language, code }) => ({ language, code })),
+            },
+            promptVersion: item.promptVersion || null,
+            answerVersion: item.answerVersion || null,
+            status: item.status || "complete",
+        };
+    }
+};
+
+// =============================================================================
+// UI - Main TOC UI class
+// =============================================================================
+
+window.TOC.UI = class UI {
+    constructor(siteConfig) {
+        this.config = siteConfig;
+        this.positionManager = new window.TOC.PositionManager(siteConfig.storageKey);
+        this.themeManager = new window.TOC.ThemeManager();
+        this.searchManager = null;
+        this.pageHighlighter = new window.TOC.PageHighlighter();
+        this.root = null; // Shadow root of everything we render, see getRoot()
+        this.dragManager = null;
+        this.resizeManager = null;
+        this.monitor = null;
+        this.maxQueryLength = window.TOC.CONSTANTS.CONSTRAINTS.MAX_QUERY_LENGTH;
+        this.scrollSpy = new window.TOC.ScrollSpy((key) => this.setActiveTurn(key));
+        this.activeKey = null;
+        this.pins = new window.TOC.ConversationStore("toc-pins");
+        this.notes = new window.TOC.ConversationStore("toc-notes");
+        this.versionHistory = new window.TOC.VersionHistory();
+        this.archiver = new window.TOC.ConversationArchiver(siteConfig);
+        this.turnLink = this.readTurnLink(); // Turn to open, from an archive search result
+        this.rows = new Map(); // turn key -> { li, state }, rendered rows only
+        this.turns = new Map(); // turn key -> latest query object (host element references)
+        this.turnIndexes = new Map(); // turn key -> position in the conversation
+        this.filteredKeys = []; // keys shown in the list (all turns, or the search results)
+        this.searchMatches = new Map(); // turn key -> search match { field, ranges }, while searching
+        this.expandedOutlines = new Set(); // turn keys whose answer outline is open
+        this.codeView = false; // Code view (code blocks of all answers) instead of the turn list
+        this.codeLanguage = null; // Code view language filter, null for all
+        this.virtualList = null;
+        this.latestQueries = null;
+        this.updateQueued = false;
+        this.ready = false; // Settings, pins and notes loaded
+        this.started = false; // First TOC build done (see delayedCreateTOC)
+        this.panelPorts = new Set(); // Connections of the side panels showing this tab
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        // The settings choose between the floating panel and the side panel, and the first
+        // render shows pins and notes: watch the page only once all of them are loaded
+        Promise.all([this.themeManager.loaded, this.loadConversationData()]).then(() => {
+            this.ready = true;
+            this.monitor = this.config.setupMonitor((event) => this.handleMonitorEvent(event));
+            this.delayedCreateTOC();
+        });
+    }
+
+    setupEventListeners() {
+        window.addEventListener("load", () => this.delayedCreateTOC());
+        window.addEventListener("pageshow", () => this.delayedCreateTOC());
+        window.addEventListener("resize", () => this.handleWindowResize());
+
+        // Listen for messages from background script (Native Commands API)
+        const api = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome : (typeof browser !== 'undefined' && browser.runtime) ? browser : null;
+        if (api) {
+            api.runtime.onMessage.addListener((request) => {
+                switch (request.action) {
+                    case "toggle-toc": this.toggleTOC(); break;
+                    case "next-prompt": this.navigateTurn(1); break;
+                    case "previous-prompt": this.navigateTurn(-1); break;
+                    case "focus-search": this.focusSearch(); break;
+                    case "jump-latest": this.jumpToLatest(); break;
+                    // Docked side panel
+                    case "toc-navigate":
+                        this.scrollToTurn(request.key, request.toAnswer);
+                        this.setActiveTurn(request.key);
+                        break;
+                    case "toc-toggle-pin": this.togglePin(request.key); break;
+                }
+            });
+
+            // An open side panel connects to the tab it shows: state goes only to connected panels
+            api.runtime.onConnect.addListener((port) => {
+                if (port.name !== "toc-sidepanel") return;
+                this.panelPorts.add(port);
+                port.onDisconnect.addListener(() => this.panelPorts.delete(port));
+                port.postMessage({ action: "toc-state", state: this.isDocked() && this.started ? this.getDockedState() : null });
+            });
+        }
+
+        // Listen for theme/settings changes from popup
+        this.themeManager.onSettingsChanged(() => {
+            // Reload settings first, then update the TOC to reflect changes (e.g. showAnswers, theme)
+            this.themeManager.loadSettings().then(() => {
+                if (this.root) this.themeManager.applyTheme(this.root.host, this.config.platformKey);
+                this.createTOC();
+            });
+        });
+    }
+
+    /**
+     * The closed shadow root holding everything we render on the page (panel, export menu,
+     * toasts). Created on first use and put back if the page drops its host. Host page
+     * styles stop at its boundary; ours (panel.css) are adopted inside by loadStyles().
+     */
+    getRoot() {
+        if (!this.root) {
+            const host = document.createElement("div");
+            host.id = window.TOC.CONSTANTS.IDS.TOC_HOST;
+            // No box and nothing inherited from the page; hidden until our styles are in
+            host.style.cssText = "all: initial; display: none;";
+            this.root = host.attachShadow({ mode: "closed" });
+            this.loadStyles(this.root).then((loaded) => {
+                if (loaded) host.style.setProperty("display", "contents");
+            });
+
+            // Typing in our inputs must not reach the host page's keyboard shortcuts
+            ["keydown", "keyup", "keypress"].forEach((type) => {
+                this.root.addEventListener(type, (e) => e.stopPropagation());
+            });
+        }
+        if (!this.root.host.isConnected) document.body.appendChild(this.root.host);
+        return this.root;
+    }
+
+    /**
+     * Adds panel.css to the shadow root. The background script reads the file: a web-accessible
+     * resource would let every page detect the extension. A constructed sheet isn't subject to
+     * the page's CSP; a <style> element takes its place where the sheet can't be adopted.
+     * Resolves to false when the styles are unavailable: the panel then stays hidden rather
+     * than showing unstyled over the page.
+     */
+    loadStyles(root) {
+        const api = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome : (typeof browser !== 'undefined' && browser.runtime) ? browser : null;
+        if (!api) return Promise.resolve(true);
+        return new Promise((resolve) => {
+            api.runtime.sendMessage({ action: "toc-panel-css" }, (response) => {
+                const css = !api.runtime.lastError && response && response.css;
+                if (!css) {
+                    console.warn("[TOC] Panel styles could not be loaded");
+                    resolve(false);
+                    return;
+                }
+                try {
+                    const sheet = new CSSStyleSheet();
+                    sheet.replaceSync(css);
+                    root.adoptedStyleSheets = [sheet];
+                } catch (e) {
+                    // Firefox content scripts can't hand their own sheets to the page's DOM
+                    const style = document.createElement("style");
+                    style.textContent = css;
+                    root.prepend(style);
+                }
+                resolve(true);
+            });
+        });
+    }
+
+    getContainer() {
+        return this.root ? this.root.getElementById(window.TOC.CONSTANTS.IDS.TOC_CONTAINER) : null;
+    }
+
+    loadConversationData() {
+        const url = window.TOC.ConversationStore.getConversationUrl();
+        this.versionHistory.clear();
+        this.archiver.reset();
+        return Promise.all([this.pins.load(url), this.notes.load(url)]);
+    }
+
+    /**
+     * Handles typed events from the conversation monitor
+     * (turn-added, turn-removed, turn-updated, answer-updated, conversation-switched).
+     */
+    handleMonitorEvent(event) {
+        // Pins and notes follow a turn whose edited prompt changed its key
+        if (event.type === "turn-updated") {
+            event.turns.filter((q) => q.previousKey).forEach((q) => {
+                this.pins.rename(q.previousKey, q.key, { text: q.text });
+                this.notes.rename(q.previousKey, q.key);
+            });
+        }
+
+        // Until the first build after the pageLoad delay, only a new conversation's data matters
+        if (!this.started) {
+            if (event.type === "conversation-switched") this.loadConversationData();
+            return;
+        }
+
+        if (event.queries.length < this.config.minQueries) {
+            const toc = this.getContainer();
+            if (toc) toc.remove();
+            if (this.isDocked()) this.updateDockedTOC([]);
+            if (event.type === "conversation-switched") this.loadConversationData();
+            return;
+        }
+
+        // One DOM change can produce several events: reconcile once with the latest queries
+        this.latestQueries = event.queries;
+        if (this.updateQueued) return;
+        this.updateQueued = true;
+
+        // A new conversation brings its own pins and notes
+        const ready = event.type === "conversation-switched" ? this.loadConversationData() : Promise.resolve();
+        ready.then(() => {
+            this.updateQueued = false;
+            this.createTOC(this.latestQueries);
+        });
+    }
+
+    toggleTOC() {
+        const tocContainer = this.getContainer();
+        if (!tocContainer) {
+            this.createTOC();
+            return;
+        }
+
+        const isCollapsed = tocContainer.classList.contains(window.TOC.CONSTANTS.CLASSES.COLLAPSED);
+
+        if (isCollapsed) {
+            // Expand, then put focus on the turn being read so the list is usable from the keyboard
+            tocContainer.classList.remove(window.TOC.CONSTANTS.CLASSES.COLLAPSED);
+            this.positionManager.saveCollapsedState(false);
+            this.focusTurn(this.turns.has(this.activeKey) ? this.activeKey : this.filteredKeys[0]);
+        } else {
+            // Collapse; focus inside the panel would be lost on hidden elements, keep it on the toggle
+            const hadFocus = tocContainer.contains(this.root.activeElement);
+            tocContainer.classList.add(window.TOC.CONSTANTS.CLASSES.COLLAPSED);
+            this.positionManager.saveCollapsedState(true);
+            if (hadFocus) tocContainer.querySelector(`#${window.TOC.CONSTANTS.IDS.TOC_TOGGLE_BTN}`).focus();
+        }
+
+        this.showToast(isCollapsed ? "TOC expanded" : "TOC collapsed");
+    }
+
+    expandTOC(tocContainer) {
+        if (!tocContainer.classList.contains(window.TOC.CONSTANTS.CLASSES.COLLAPSED)) return;
+        tocContainer.classList.remove(window.TOC.CONSTANTS.CLASSES.COLLAPSED);
+        this.positionManager.saveCollapsedState(false);
+    }
+
+    // =========== KEYBOARD NAVIGATION ===========
+
+    // Next/previous prompt relative to the turn currently in view
+    navigateTurn(delta) {
+        const keys = Array.from(this.turns.keys());
+        if (keys.length === 0) return;
+
+        const current = keys.indexOf(this.activeKey);
+        const index = current === -1
+            ? (delta > 0 ? 0 : keys.length - 1)
+            : Math.max(0, Math.min(keys.length - 1, current + delta));
+
+        this.scrollToTurn(keys[index]);
+        this.setActiveTurn(keys[index]);
+    }
+
+    jumpToLatest() {
+        const keys = Array.from(this.turns.keys());
+        if (keys.length === 0) return;
+        const lastKey = keys[keys.length - 1];
+        this.scrollToTurn(lastKey, true);
+        this.setActiveTurn(lastKey);
+    }
+
+    focusSearch() {
+        const tocContainer = this.getContainer();
+        if (!tocContainer) return;
+        this.expandTOC(tocContainer);
+        const searchInput = tocContainer.querySelector(`#${window.TOC.CONSTANTS.IDS.SEARCH_INPUT}`);
+        searchInput.focus();
+        searchInput.select();
+    }
+
+    /**
+     * Focuses the row of a turn, rendering it first if the virtual list
+     * had it out of the window. Only the list scrolls, never the host page.
+     */
+    focusTurn(key) {
+        if (!key || !this.virtualList) return;
+        const index = this.virtualList.indexOf(key);
+        if (index === -1) return;
+
+        this.virtualList.scrollToIndex(index);
+        const li = this.virtualList.getRenderedRow(key);
+        const link = li && li.querySelector(".toc-question-row a");
+        if (link) link.focus({ preventScroll: true });
+    }
+
+    handleListKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const li = e.target.closest("li");
+        if (!li) return;
+
+        const items = this.filteredKeys;
+        const index = items.indexOf(li.getAttribute("data-toc-key"));
+        let target = null;
+
+        switch (e.key) {
+            case "ArrowDown":
+            case "j":
+                target = items[Math.min(items.length - 1, index + 1)];
+                break;
+            case "ArrowUp":
+            case "k":
+                if (index === 0) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.focusSearch();
+                    return;
+                }
+                target = items[Math.max(0, index - 1)];
+                break;
+            case "Home":
+                target = items[0];
+                break;
+            case "End":
+                target = items[items.length - 1];
+                break;
+            case "c": {
+                const turn = this.turns.get(li.getAttribute("data-toc-key"));
+                if (turn) this.copyToClipboard(typeof turn === "string" ? turn : turn.text, "Query copied!");
+                break;
+            }
+            case "n":
+                this.openNoteEditor(li);
+                break;
+            default:
+                return;
+        }
+
+        // Host pages often bind single-letter shortcuts: keep the keys to ourselves
+        e.preventDefault();
+        e.stopPropagation();
+        if (target) this.focusTurn(target);
+    }
+
+    delayedCreateTOC() {
+        setTimeout(() => {
+            // init() schedules the first build once settings and conversation data are loaded
+            if (!this.ready) return;
+            this.started = true;
+            console.log(`[TOC] Initial create for ${this.config.name}`);
+            this.createTOC();
+        }, this.config.delays.pageLoad);
+    }
+
+    /**
+     * Creates the TOC on first use, afterwards reconciles the existing list in place
+     * so scroll position, focus, open menus and drag state survive updates.
+     * @param {Array} [queries] - Fresh getQueries() result; fetched when omitted.
+     */
+    createTOC(queries = null) {
+        if (!this.started) return;
+        const questions = queries || this.config.getQueries();
+        if (questions.length === 0) {
+            console.log("[TOC] No questions found, not creating TOC");
+            return;
+        }
+
+        if (this.isDocked()) {
+            this.updateDockedTOC(questions);
+            this.openTurnLink();
+            return;
+        }
+
+        const root = this.getRoot();
+        const existingTOC = root.getElementById(window.TOC.CONSTANTS.IDS.TOC_CONTAINER);
+        if (existingTOC) {
+            this.updateTOC(existingTOC, questions);
+            this.openTurnLink();
+            return;
+        }
+
+        // First build, or the panel was removed: start from a clean slate
+        this.rows.clear();
+        this.searchManager = null;
+        this.pageHighlighter.clear();
+
+        const tocContainer = this.buildTOCStructure(questions);
+
+        // Wait for ThemeManager settings to load before applying
+        this.themeManager.loadSettings().then(() => {
+            this.themeManager.applyTheme(root.host, this.config.platformKey);
+        });
+
+        this.setupTOCFunctionality(tocContainer);
+        this.applyInitialPosition(tocContainer);
+
+        root.appendChild(tocContainer);
+        this.scrollSpy.observe(Array.from(this.turns.keys()), this.turns);
+        this.openTurnLink();
+        console.log(`[TOC] Created with ${questions.length} items`);
+    }
+
+    /**
+     * Archive search results link to "<chat url>#toc-turn=<key>" (or #toc-answer=<key>).
+     * @returns {{key: string, toAnswer: boolean, path: string}|null} The turn to open once
+     *     it is on the page, in this conversation only.
+     */
+    readTurnLink() {
+        const match = location.hash.match(/^#toc-(turn|answer)=([^&]+)$/);
+        if (!match) return null;
+        try {
+            return { key: decodeURIComponent(match[2]), toAnswer: match[1] === "answer", path: location.pathname };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    openTurnLink() {
+        const link = this.turnLink;
+        if (!link) return;
+        if (location.pathname !== link.path) {
+            this.turnLink = null;
+            return;
+        }
+        // Not rendered yet (or no longer on the site): try again on the next update
+        if (!this.scrollToTurn(link.key, link.toAnswer)) return;
+
+        this.turnLink = null;
+        this.setActiveTurn(link.key);
+        // A reload shouldn't jump back to it
+        history.replaceState(history.state, "", location.pathname + location.search);
+    }
+
+    /**
+     * Marks the turn currently in view, keeps it visible inside the TOC list
+     * and updates the footer progress ("Turn 37 / 120").
+     */
+    setActiveTurn(key) {
+        if (this.isDocked()) {
+            if (!key || !this.turns.has(key)) return;
+            this.activeKey = key;
+            this.sendToPanel({ action: "toc-active", key });
+            return;
+        }
+
+        const tocContainer = this.getContainer();
+        if (!tocContainer || !key || !this.turns.has(key)) return;
+
+        const previous = this.rows.get(this.activeKey);
+        if (previous && this.activeKey !== key) previous.li.classList.remove("toc-active");
+        this.activeKey = key;
+
+        // Rows rendered later pick the class up in updateListItem
+        const row = this.rows.get(key);
+        if (row) row.li.classList.add("toc-active");
+
+        const progress = tocContainer.querySelector(".toc-progress");
+        if (progress) progress.textContent = `Turn ${this.turnIndexes.get(key) + 1} / ${this.turns.size}`;
+
+        // Scroll only the TOC list; scrollIntoView would also move the host page
+        if (this.virtualList) this.virtualList.scrollToIndex(this.virtualList.indexOf(key));
+    }
+
+    updateTOC(tocContainer, questions) {
+        this.setTurns(questions);
+        this.renderPinned(tocContainer.querySelector(".toc-pinned-section"));
+        this.updateTruncation(tocContainer);
+
+        const tocCount = tocContainer.querySelector(".toc-count");
+        if (tocCount) tocCount.textContent = `${questions.length} queries`;
+        if (this.codeView) this.renderCodeView(tocContainer);
+
+        this.scrollSpy.observe(Array.from(this.turns.keys()), this.turns);
+        this.setActiveTurn(this.activeKey);
+    }
+
+    // =========== DOCKED SIDE PANEL ===========
+
+    isDocked() {
+        return this.themeManager.settings.displayMode === "docked";
+    }
+
+    /**
+     * Docked mode: instead of the floating panel, the browser side panel renders
+     * the list from the state published here and sends clicks back as messages.
+     */
+    updateDockedTOC(questions) {
+        const tocContainer = this.getContainer();
+        if (tocContainer) tocContainer.remove();
+        this.rows.clear();
+
+        this.virtualList = null;
+        this.searchManager = null;
+        this.pageHighlighter.clear();
+        this.setTurns(questions);
+        this.scrollSpy.observe(Array.from(this.turns.keys()), this.turns);
+        this.publishDockedState();
+    }
+
+    getDockedState() {
+        return {
+            site: this.config.name,
+            platformKey: this.config.platformKey,
+            url: window.TOC.ConversationStore.getConversationUrl(),
+            activeKey: this.turns.has(this.activeKey) ? this.activeKey : null,
+            items: Array.from(this.turns, ([key, item]) => {
+                const note = this.notes.get(key);
+                return {
+                    key,
+                    text: typeof item === "string" ? item : item.text,
+                    answer: (typeof item !== "string" && item.answer) || "",
+                    attachments: this.getAttachments(item).map((a) => this.describeAttachment(a)),
+                    versions: typeof item === "string" ? [] : [["prompt", item.promptVersion], ["answer", item.answerVersion]]
+                        .filter(([, version]) => version)
+                        .map(([kind, version]) => ({ kind, label: `${version.index}/${version.count}`, title: this.describeVersion(kind, version) })),
+                    status: (typeof item !== "string" && item.status) || "complete",
+                    statusLabel: this.describeStatus(typeof item !== "string" && item.status),
+                    pinned: this.pins.has(key),
+                    note: note ? note.text : ""
+                };
+            })
+        };
+    }
+
+    publishDockedState() {
+        this.sendToPanel({ action: "toc-state", state: this.getDockedState() });
+    }
+
+    // Nothing is sent while the side panel is closed (a message would wake the background)
+    sendToPanel(message) {
+        this.panelPorts.forEach((port) => port.postMessage(message));
+    }
+
+    // Refresh button: drop every row and render the list again from scratch
+    refreshTOC() {
+        const tocContainer = this.getContainer();
+        if (tocContainer && this.virtualList) {
+            this.virtualList.reset();
+        }
+        this.createTOC();
+    }
+
+    buildTOCStructure(questions) {
+        const CONSTANTS = window.TOC.CONSTANTS;
+
+        const tocContainer = document.createElement("div");
+        tocContainer.id = CONSTANTS.IDS.TOC_CONTAINER;
+        // Theme is now applied dynamically via ThemeManager
+
+        // Header
+        const tocHeader = document.createElement("div");
+        tocHeader.className = CONSTANTS.CLASSES.TOC_HEADER;
+
+        const headerContent = document.createElement("div");
+        headerContent.className = CONSTANTS.CLASSES.TOC_HEADER_CONTENT;
+
+        const dragHandle = document.createElement("div");
+        dragHandle.className = CONSTANTS.CLASSES.TOC_DRAG_HANDLE;
+        dragHandle.title = "Drag to move";
+
+        const title = document.createElement("h2");
+        title.textContent = "Table of Contents";
+
+        // Header buttons container
+        const headerButtons = document.createElement("div");
+        headerButtons.className = "toc-header-buttons";
 
         // Export button
         const exportBtn = document.createElement("button");
@@ -656,19 +2177,29 @@ window.TOC.UI = class UI {
             this.showExportMenu(tocContainer);
         });
 
+        // Code view button
+        const codeBtn = document.createElement("button");
+        codeBtn.id = "toc-code-btn";
+        codeBtn.title = "Code blocks";
+        codeBtn.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.toggleCodeView(tocContainer);
+        });
+
         // Refresh button
         const refreshBtn = document.createElement("button");
         refreshBtn.id = "toc-refresh-btn";
         refreshBtn.title = "Refresh TOC";
         refreshBtn.addEventListener("click", (e) => {
             e.stopPropagation();
-            this.createTOC(true);
+            this.refreshTOC();
         });
 
         const toggleBtn = document.createElement("button");
         toggleBtn.id = CONSTANTS.IDS.TOC_TOGGLE_BTN;
         toggleBtn.title = "Toggle Table of Contents";
 
+        headerButtons.appendChild(codeBtn);
         headerButtons.appendChild(exportBtn);
         headerButtons.appendChild(refreshBtn);
         headerButtons.appendChild(toggleBtn);
@@ -686,13 +2217,39 @@ window.TOC.UI = class UI {
         searchInput.type = "text";
         searchInput.id = CONSTANTS.IDS.SEARCH_INPUT;
         searchInput.placeholder = "Search queries...";
+        searchInput.title = "Prefix with q:, a: or n: to search only questions, answers or notes";
 
         const searchClear = document.createElement("div");
         searchClear.id = CONSTANTS.IDS.SEARCH_CLEAR;
         searchClear.title = "Clear search";
 
+        // Match mode toggles, match counter and next/previous match
+        const searchTools = document.createElement("div");
+        searchTools.className = "toc-search-tools";
+        [["regex", ".*", "Regular expression"], ["fuzzy", "~", "Fuzzy match"]].forEach(([option, label, title]) => {
+            const btn = document.createElement("button");
+            btn.className = "toc-search-option";
+            btn.setAttribute("data-option", option);
+            btn.setAttribute("aria-pressed", "false");
+            btn.textContent = label;
+            btn.title = title;
+            searchTools.appendChild(btn);
+        });
+
+        const searchCount = document.createElement("span");
+        searchCount.className = "toc-search-count";
+        searchTools.appendChild(searchCount);
+
+        [["prev", "Previous match (Shift+Enter)"], ["next", "Next match (Enter)"]].forEach(([direction, title]) => {
+            const btn = document.createElement("button");
+            btn.className = `toc-search-${direction}`;
+            btn.title = title;
+            searchTools.appendChild(btn);
+        });
+
         searchContainer.appendChild(searchInput);
         searchContainer.appendChild(searchClear);
+        searchContainer.appendChild(searchTools);
 
         // List
         const tocList = document.createElement("ul");
@@ -701,51 +2258,116 @@ window.TOC.UI = class UI {
         tocList.addEventListener("click", (e) => {
             const link = e.target.closest("a");
             const qCopy = e.target.closest(".toc-copy-btn");
+            const pinBtn = e.target.closest(".toc-pin-btn");
+            const noteBtn = e.target.closest(".toc-note-btn, .toc-note-row");
             const aCopy = e.target.closest(".toc-answer-copy");
 
-            const answerNav = e.target.closest(".toc-answer-content[data-nav-id]");
+            const answerNav = e.target.closest(".toc-answer-content");
+            const snippet = e.target.closest(".toc-search-snippet");
+
+            const outlineToggle = e.target.closest(".toc-outline-toggle");
+            const outlineItem = e.target.closest(".toc-outline-item");
 
-            if (link) {
+            if (e.target.closest(".toc-note-editor")) {
+                return;
+            } else if (outlineToggle) {
                 e.preventDefault();
-                const questionId = link.getAttribute("href").substring(1);
-                const targetElement = document.getElementById(questionId);
-                if (targetElement) {
-                    targetElement.scrollIntoView({ behavior: "smooth", block: "start" });
-                }
+                this.toggleOutline(outlineToggle.closest("li").getAttribute("data-toc-key"));
+            } else if (outlineItem) {
+                e.preventDefault();
+                const key = outlineItem.closest("li[data-toc-key]").getAttribute("data-toc-key");
+                this.scrollToOutlineItem(key, Number(outlineItem.getAttribute("data-outline-index")));
+            } else if (link) {
+                e.preventDefault();
+                const key = link.closest("li").getAttribute("data-toc-key");
+                if (!this.goToSearchResult(key, "question")) this.scrollToTurn(key);
+            } else if (snippet) {
+                e.preventDefault();
+                const key = snippet.closest("li").getAttribute("data-toc-key");
+                const match = this.searchMatches.get(key);
+                if (!this.goToSearchResult(key, match && match.field)) this.scrollToTurn(key, !!match && match.field === "answer");
             } else if (answerNav && !e.target.closest(".toc-answer-copy")) {
                 e.preventDefault();
-                const targetElement = document.getElementById(answerNav.getAttribute("data-nav-id"));
-                if (targetElement) {
-                    targetElement.scrollIntoView({ behavior: "smooth", block: "start" });
-                }
+                const key = answerNav.closest("li").getAttribute("data-toc-key");
+                if (!this.goToSearchResult(key, "answer")) this.scrollToTurn(key, true);
+            } else if (noteBtn) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.openNoteEditor(noteBtn.closest("li"));
+            } else if (pinBtn) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.togglePin(pinBtn.closest("li").getAttribute("data-toc-key"));
             } else if (qCopy) {
                 e.preventDefault();
                 e.stopPropagation();
-                const text = qCopy.getAttribute("data-text");
-                this.copyToClipboard(text, "Query copied!");
+                const turn = this.turns.get(qCopy.closest("li").getAttribute("data-toc-key"));
+                if (turn) this.copyToClipboard(typeof turn === "string" ? turn : turn.text, "Query copied!");
             } else if (aCopy) {
                 e.preventDefault();
                 e.stopPropagation();
-                const text = aCopy.getAttribute("data-text");
-                this.copyToClipboard(text, "Answer copied!");
+                const turn = this.turns.get(aCopy.closest("li").getAttribute("data-toc-key"));
+                if (turn && turn.answer) this.copyToClipboard(this.getAnswerMarkdown(turn), "Answer copied!");
             }
         });
 
-        this.populateTOCList(tocList, questions);
+        tocList.addEventListener("keydown", (e) => this.handleListKeyDown(e));
+
+        // ArrowDown in the search box moves into the (filtered) list
+        searchInput.addEventListener("keydown", (e) => {
+            if (e.key !== "ArrowDown") return;
+            e.preventDefault();
+            this.focusTurn(this.filteredKeys[0]);
+        });
+
+        // Pinned turns of this conversation, shown above the list
+        const pinnedSection = document.createElement("div");
+        pinnedSection.className = "toc-pinned-section";
+        pinnedSection.addEventListener("click", (e) => {
+            const item = e.target.closest("[data-toc-key]");
+            if (!item) return;
+            e.preventDefault();
+            const key = item.getAttribute("data-toc-key");
+            if (e.target.closest(".toc-unpin-btn")) this.togglePin(key);
+            else if (!this.scrollToTurn(key)) this.showToast("Pinned turn not found on this page");
+        });
+
+        this.virtualList = new window.TOC.VirtualList(tocList, {
+            renderRow: (key) => this.renderRow(key),
+            releaseRow: (key) => this.rows.delete(key),
+            isRetained: (li) => li.classList.contains("toc-editing-note"),
+        });
+        this.setTurns(questions);
+        this.renderPinned(pinnedSection);
 
         // Footer with count
         const tocFooter = document.createElement("div");
         tocFooter.className = "toc-footer";
+        const tocProgress = document.createElement("span");
+        tocProgress.className = "toc-progress";
         const tocCount = document.createElement("span");
         tocCount.className = "toc-count";
         tocCount.textContent = `${questions.length} queries`;
+        tocFooter.appendChild(tocProgress);
         tocFooter.appendChild(tocCount);
 
         tocContainer.appendChild(tocHeader);
         tocContainer.appendChild(searchContainer);
+        tocContainer.appendChild(pinnedSection);
         tocContainer.appendChild(tocList);
+        tocContainer.appendChild(this.buildCodeView(tocContainer));
         tocContainer.appendChild(tocFooter);
 
+        // The code view stays open across rebuilds (conversation switch, host re-render)
+        tocContainer.classList.toggle("toc-code-mode", this.codeView);
+        codeBtn.classList.toggle("active", this.codeView);
+        if (this.codeView) this.renderCodeView(tocContainer);
+
+        const resizeHandle = document.createElement("div");
+        resizeHandle.className = CONSTANTS.CLASSES.TOC_RESIZE_HANDLE;
+        resizeHandle.title = "Resize";
+        tocContainer.appendChild(resizeHandle);
+
         return tocContainer;
     }
 
@@ -767,6 +2389,9 @@ window.TOC.UI = class UI {
             { label: "Copy as Markdown", action: () => this.exportAsMarkdown(questions) },
             { label: "Download as .txt", action: () => this.downloadAsFile(questions, "txt") },
             { label: "Download as .md", action: () => this.downloadAsFile(questions, "md") },
+            { label: "Download as .json", action: () => this.downloadAsFile(questions, "json") },
+            { label: "Download as .html", action: () => this.downloadAsFile(questions, "html") },
+            { label: "Print / Save as PDF", action: () => this.openPrintView(questions) },
         ];
 
         options.forEach(opt => {
@@ -782,81 +2407,156 @@ window.TOC.UI = class UI {
 
         container.appendChild(menu);
 
-        // Close menu when clicking outside
+        // Close menu when clicking outside. The document sees clicks inside our shadow root
+        // retargeted to its host, so those are judged by a listener on the root itself.
+        const root = this.root;
+        const closeMenu = (e) => {
+            if (e.currentTarget === document && e.target === root.host) return;
+            if (menu.contains(e.target)) return;
+            menu.remove();
+            root.removeEventListener("click", closeMenu);
+            document.removeEventListener("click", closeMenu);
+        };
         setTimeout(() => {
-            document.addEventListener("click", function closeMenu(e) {
-                if (!menu.contains(e.target)) {
-                    menu.remove();
-                    document.removeEventListener("click", closeMenu);
-                }
-            });
+            root.addEventListener("click", closeMenu);
+            document.addEventListener("click", closeMenu);
         }, 10);
     }
 
     exportAsText(questions) {
+        this.copyToClipboard(this.buildText(questions), "Copied as text!");
+    }
+
+    exportAsMarkdown(questions) {
+        this.copyToClipboard(this.buildMarkdown(questions, new Date().toLocaleDateString()), "Copied as Markdown!");
+    }
+
+    // Numbered questions, with answers when "Show AI Answers" is on, attachments, versions and notes
+    buildText(questions) {
         const showAnswers = this.themeManager.settings.showAnswers;
-        const text = questions.map((q, i) => {
+        const keys = this.getTurnKeys(questions);
+        return questions.map((q, i) => {
             const qText = typeof q === "string" ? q : q.text;
-            let line = `${i + 1}. Q: ${qText}`;
+            const note = this.getExportNote(keys, i);
+            let line = `${i + 1}. Q: ${qText}${this.formatVersionSuffix(q.promptVersion, false)}` + this.formatTextAttachments(q);
             if (showAnswers && q.answer) {
-                line += `\n   A: ${q.answer}`;
+                line += this.formatTextAnswer(q);
+            }
+            line += this.formatTextVersions(keys[i], q, showAnswers);
+            if (note) {
+                line += `\n   Note: ${note.replace(/\n/g, "\n         ")}`;
             }
             return line;
         }).join("\n\n");
-        this.copyToClipboard(text, "Copied as text!");
     }
 
-    exportAsMarkdown(questions) {
-        const siteName = this.config.name;
-        const date = new Date().toLocaleDateString();
+    // Same content as buildText, as a Markdown document; date: shown in the "Exported on" line
+    buildMarkdown(questions, date) {
         const showAnswers = this.themeManager.settings.showAnswers;
-        let md = `# ${siteName} Conversation Summary\n`;
+        const keys = this.getTurnKeys(questions);
+        let md = `# ${this.config.name} Conversation Summary\n`;
         md += `_Exported on ${date}_\n\n`;
         md += `## ${showAnswers ? 'Conversation' : 'Queries'} (${questions.length})\n\n`;
         questions.forEach((q, i) => {
             const qText = typeof q === "string" ? q : q.text;
-            md += `${i + 1}. **Q:** ${qText}\n`;
+            const note = this.getExportNote(keys, i);
+            md += `${i + 1}. **Q:** ${qText}${this.formatVersionSuffix(q.promptVersion, true)}\n`;
+            md += this.formatMarkdownAttachments(q);
             if (showAnswers && q.answer) {
-                md += `   > **A:** ${q.answer}\n`;
+                md += this.formatMarkdownAnswer(q);
+            }
+            md += this.formatMarkdownVersions(keys[i], q, showAnswers);
+            if (note) {
+                md += `\n   **Note:** ${note.replace(/\n/g, "  \n   ")}\n`;
             }
             md += `\n`;
         });
-        this.copyToClipboard(md, "Copied as Markdown!");
+        return md;
     }
 
     downloadAsFile(questions, format) {
         const siteName = this.config.name;
         const date = new Date().toISOString().split("T")[0];
         const showAnswers = this.themeManager.settings.showAnswers;
+        const keys = this.getTurnKeys(questions);
         let content, filename, mimeType;
 
-        if (format === "md") {
-            content = `# ${siteName} Conversation Summary\n`;
-            content += `_Exported on ${date}_\n\n`;
-            content += `## ${showAnswers ? 'Conversation' : 'Queries'} (${questions.length})\n\n`;
-            questions.forEach((q, i) => {
-                const qText = typeof q === "string" ? q : q.text;
-                content += `${i + 1}. **Q:** ${qText}\n`;
-                if (showAnswers && q.answer) {
-                    content += `   > **A:** ${q.answer}\n`;
-                }
-                content += `\n`;
+        if (format === "json") {
+            // Lossless: answers, notes and versions are always included
+            content = JSON.stringify(this.getTranscript(questions, keys), null, 2);
+            filename = `${siteName.toLowerCase()}-conversation-${date}.json`;
+            mimeType = "application/json";
+        } else if (format === "html") {
+            // Standalone page to share: the same data as the JSON, in the accent of this site
+            content = TOC_HTML.fromTranscript(this.getTranscript(questions, keys), {
+                theme: this.themeManager.getThemeConfig(this.config.platformKey) || THEMES.emerald,
+                mode: this.themeManager.settings.themeMode || "system",
             });
+            filename = `${siteName.toLowerCase()}-conversation-${date}.html`;
+            mimeType = "text/html";
+        } else if (format === "md") {
+            content = this.buildMarkdown(questions, date);
             filename = `${siteName.toLowerCase()}-${showAnswers ? 'conversation' : 'queries'}-${date}.md`;
             mimeType = "text/markdown";
         } else {
-            content = questions.map((q, i) => {
-                const qText = typeof q === "string" ? q : q.text;
-                let line = `${i + 1}. Q: ${qText}`;
-                if (showAnswers && q.answer) {
-                    line += `\n   A: ${q.answer}`;
-                }
-                return line;
-            }).join("\n\n");
+            content = this.buildText(questions);
             filename = `${siteName.toLowerCase()}-${showAnswers ? 'conversation' : 'queries'}-${date}.txt`;
             mimeType = "text/plain";
         }
 
+        this.saveFile(content, filename, mimeType);
+    }
+
+    // The conversation in the JSON interchange format (see transcript.js)
+    getTranscript(questions, keys) {
+        const version = (v) => (v ? { index: v.index, count: v.count } : null);
+        return TOC_TRANSCRIPT.create({
+            platform: this.config.definition.id,
+            site: this.config.name,
+            conversation: {
+                id: this.config.getConversationId(),
+                url: window.TOC.ConversationStore.getConversationUrl(),
+                title: document.title,
+            },
+            turns: questions.map((q, i) => {
+                const item = typeof q === "string" ? { text: q } : q;
+                const markdown = this.getAnswerMarkdown(q);
+                return {
+                    key: keys[i],
+                    question: {
+                        text: item.text,
+                        version: version(item.promptVersion),
+                        attachments: this.getAttachments(q).map((a) => ({ name: a.name, type: a.type || null, size: a.size || null })),
+                    },
+                    answer: markdown ? {
+                        text: TOC_MARKDOWN.toPlainText(markdown),
+                        markdown,
+                        version: version(item.answerVersion),
+                        status: item.status || "complete",
+                    } : null,
+                    note: this.getExportNote(keys, i) || null,
+                    pinned: this.pins.has(keys[i]),
+                    alternates: this.versionHistory.getAlternates(keys[i], q).map((alt) => ({
+                        question: { text: alt.text, version: version(alt.prompt) },
+                        answer: alt.answerMarkdown ? { markdown: alt.answerMarkdown, version: version(alt.answer) } : null,
+                    })),
+                };
+            }),
+        });
+    }
+
+    // Print-friendly copy of the conversation in an extension tab (print.html), which opens
+    // the browser's print dialog: printing the chat site itself prints its sidebars and input box
+    openPrintView(questions) {
+        const api = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome : (typeof browser !== 'undefined' && browser.runtime) ? browser : null;
+        if (!api) return;
+        const transcript = this.getTranscript(questions, this.getTurnKeys(questions));
+        api.runtime.sendMessage({ action: "toc-print", transcript }, (response) => {
+            if (api.runtime.lastError || !response || !response.ok) this.showToast("Could not open the print view");
+        });
+    }
+
+    saveFile(content, filename, mimeType) {
         const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement("a");
@@ -867,6 +2567,164 @@ window.TOC.UI = class UI {
         this.showToast(`Downloaded ${filename}`);
     }
 
+    // =========== CODE VIEW ===========
+
+    // Container of the code view; filled by renderCodeView() while the view is open
+    buildCodeView(tocContainer) {
+        const view = document.createElement("div");
+        view.className = "toc-code-view";
+
+        view.addEventListener("click", (e) => {
+            const chip = e.target.closest(".toc-code-lang");
+            const group = e.target.closest("[data-toc-key]");
+            if (chip) {
+                e.preventDefault();
+                const language = chip.getAttribute("data-language");
+                this.codeLanguage = language === "*" ? null : language;
+                this.renderCodeView(tocContainer);
+                return;
+            }
+            if (!group) return;
+
+            e.preventDefault();
+            const key = group.getAttribute("data-toc-key");
+            const item = e.target.closest(".toc-code-item");
+            if (!item) {
+                if (e.target.closest(".toc-code-turn")) this.scrollToTurn(key);
+                return;
+            }
+
+            const turn = this.turns.get(key);
+            const index = Number(item.getAttribute("data-code-index"));
+            const block = turn && typeof turn !== "string" && (turn.answerCode || [])[index];
+            if (!block) return;
+
+            if (e.target.closest(".toc-code-copy")) {
+                this.copyToClipboard(block.code, "Code copied!");
+            } else if (e.target.closest(".toc-code-download")) {
+                this.saveFile(block.code, this.getCodeFilename(key, index, block), "text/plain");
+            } else if (block.element.isConnected) {
+                block.element.scrollIntoView({ behavior: "smooth", block: "center" });
+            }
+        });
+        return view;
+    }
+
+    toggleCodeView(tocContainer) {
+        this.codeView = !this.codeView;
+        tocContainer.classList.toggle("toc-code-mode", this.codeView);
+        tocContainer.querySelector("#toc-code-btn").classList.toggle("active", this.codeView);
+        if (this.codeView) this.renderCodeView(tocContainer);
+        else if (this.virtualList) this.virtualList.render();
+    }
+
+    /**
+     * Lists the code blocks of every answer, grouped by turn, with a language filter.
+     * Rebuilt on every TOC update while open, so streaming answers add their blocks.
+     */
+    renderCodeView(tocContainer) {
+        const view = tocContainer.querySelector(".toc-code-view");
+        if (!view) return;
+
+        const groups = [];
+        const languages = new Map(); // language -> block count
+        let total = 0;
+        this.turns.forEach((item, key) => {
+            const blocks = typeof item === "string" ? [] : item.answerCode || [];
+            blocks.forEach((block) => languages.set(block.language, (languages.get(block.language) || 0) + 1));
+            total += blocks.length;
+
+            const shown = blocks
+                .map((block, index) => ({ block, index }))
+                .filter(({ block }) => this.codeLanguage === null || block.language === this.codeLanguage);
+            if (shown.length) groups.push({ key, item, shown });
+        });
+        if (this.codeLanguage !== null && !languages.has(this.codeLanguage)) this.codeLanguage = null;
+
+        const scrollTop = view.scrollTop;
+        view.textContent = "";
+
+        if (total === 0) {
+            const empty = document.createElement("div");
+            empty.className = "toc-code-empty";
+            empty.textContent = "No code blocks in this conversation yet";
+            view.appendChild(empty);
+            return;
+        }
+
+        const filters = document.createElement("div");
+        filters.className = "toc-code-filters";
+        [["*", "All", total], ...Array.from(languages).sort((a, b) => b[1] - a[1]).map(([language, count]) => [language, language || "text", count])]
+            .forEach(([language, label, count]) => {
+                const chip = document.createElement("button");
+                chip.className = "toc-code-lang";
+                chip.setAttribute("data-language", language);
+                chip.classList.toggle("active", language === "*" ? this.codeLanguage === null : language === this.codeLanguage);
+                chip.textContent = `${label} ${count}`;
+                filters.appendChild(chip);
+            });
+        view.appendChild(filters);
+
+        groups.forEach(({ key, item, shown }) => {
+            const group = document.createElement("div");
+            group.className = "toc-code-group";
+            group.setAttribute("data-toc-key", key);
+
+            const turnLink = document.createElement("a");
+            turnLink.href = "#";
+            turnLink.className = "toc-code-turn";
+            turnLink.textContent = `${this.turnIndexes.get(key) + 1}. ${this.truncate(item.text)}`;
+            turnLink.title = item.text;
+            group.appendChild(turnLink);
+
+            shown.forEach(({ block, index }) => {
+                const lines = block.code.split("\n");
+                const firstLine = lines.find((line) => line.trim()) || "";
+
+                const entry = document.createElement("div");
+                entry.className = "toc-code-item";
+                entry.setAttribute("data-code-index", index);
+                entry.title = "Scroll to this code block";
+
+                const meta = document.createElement("div");
+                meta.className = "toc-code-meta";
+                const language = document.createElement("span");
+                language.className = "toc-code-language";
+                language.textContent = block.language || "text";
+                const lineCount = document.createElement("span");
+                lineCount.textContent = `${lines.length} ${lines.length === 1 ? "line" : "lines"}`;
+                meta.appendChild(language);
+                meta.appendChild(lineCount);
+
+                const copyBtn = document.createElement("button");
+                copyBtn.className = "toc-code-copy";
+                copyBtn.title = "Copy code";
+                const downloadBtn = document.createElement("button");
+                downloadBtn.className = "toc-code-download";
+                downloadBtn.title = `Download as ${this.getCodeFilename(key, index, block)}`;
+                meta.appendChild(copyBtn);
+                meta.appendChild(downloadBtn);
+
+                const preview = document.createElement("code");
+                preview.className = "toc-code-preview";
+                preview.textContent = firstLine.trim();
+
+                entry.appendChild(meta);
+                entry.appendChild(preview);
+                group.appendChild(entry);
+            });
+            view.appendChild(group);
+        });
+
+        view.scrollTop = scrollTop;
+    }
+
+    // "chatgpt-turn-3-2.py": site, turn number, block number within the answer, language extension
+    getCodeFilename(key, index, block) {
+        const extension = window.TOC.CONSTANTS.CODE_FILE_EXTENSIONS[block.language] || "txt";
+        return `${this.config.name.toLowerCase()}-turn-${this.turnIndexes.get(key) + 1}-${index + 1}.${extension}`;
+    }
+
     copyToClipboard(text, message) {
         navigator.clipboard.writeText(text).then(() => {
             this.showToast(message);
@@ -883,13 +2741,14 @@ window.TOC.UI = class UI {
     }
 
     showToast(message) {
-        const existing = document.querySelector(".toc-toast");
+        const root = this.getRoot();
+        const existing = root.querySelector(".toc-toast");
         if (existing) existing.remove();
 
         const toast = document.createElement("div");
         toast.className = "toc-toast";
         toast.textContent = message;
-        document.body.appendChild(toast);
+        root.appendChild(toast);
 
         setTimeout(() => toast.classList.add("show"), 10);
         setTimeout(() => {
@@ -898,64 +2757,586 @@ window.TOC.UI = class UI {
         }, 2000);
     }
 
-    populateTOCList(tocList, questions) {
-        const CONSTANTS = window.TOC.CONSTANTS;
-        const showAnswers = this.themeManager.settings.showAnswers;
-        const listItems = [];
+    // Stable key from the adapter (platform message id or content hash)
+    getTurnKey(item) {
+        if (typeof item !== "string" && item.key) return item.key;
+        return `text:${typeof item === "string" ? item : item.text}`;
+    }
 
-        questions.forEach((item, index) => {
-            const questionText = typeof item === "string" ? item : item.text;
-            const element = typeof item === "string" ? null : item.element;
-            const answerText = (typeof item !== "string" && item.answer) ? item.answer : "";
-            const answerElement = (typeof item !== "string" && item.answerElement) ? item.answerElement : null;
-
-            const shortText =
-                questionText.length > CONSTANTS.CONSTRAINTS.MAX_QUERY_LENGTH
-                    ? questionText.substring(0, CONSTANTS.CONSTRAINTS.MAX_QUERY_LENGTH - 3) +
-                    CONSTANTS.CONSTRAINTS.TRUNCATE_SUFFIX
-                    : questionText;
-
-            const questionId = `toc-question-${index}`;
-            const answerId = `toc-answer-${index}`;
-
-            if (element) {
-                element.id = questionId;
+    getTurnKeys(questions) {
+        const seen = new Set();
+        return questions.map((item) => {
+            let key = this.getTurnKey(item);
+            // Identical text-only turns would collide: disambiguate by occurrence
+            while (seen.has(key)) key += "+";
+            seen.add(key);
+            return key;
+        });
+    }
+
+    // Note of the i-th question for the export formats, or "" when there is none
+    getExportNote(keys, i) {
+        const note = this.notes.get(keys[i]);
+        return note ? note.text : "";
+    }
+
+    // Structured answer (see TOC_MARKDOWN), or the flat text for turns without one
+    getAnswerMarkdown(item) {
+        if (!item || typeof item === "string") return "";
+        return item.answerMarkdown || item.answer || "";
+    }
+
+    // One-line answer preview without Markdown syntax or platform UI text
+    getAnswerPreview(item) {
+        return TOC_MARKDOWN.toPlainText(this.getAnswerMarkdown(item)).replace(/\s+/g, " ");
+    }
+
+    // Answer quoted under its numbered question, keeping code blocks, lists and tables intact
+    formatMarkdownAnswer(item, indent = "   ") {
+        const markdown = this.getAnswerMarkdown(item);
+        const quoted = markdown.split("\n").map((line) => (line ? `${indent}> ${line}` : `${indent}>`)).join("\n");
+        return `${indent}> **A:**${this.formatVersionSuffix(item.answerVersion, true)}\n${indent}>\n${quoted}\n`;
+    }
+
+    formatTextAnswer(item) {
+        const text = TOC_MARKDOWN.toPlainText(this.getAnswerMarkdown(item));
+        return `\n   A${this.formatVersionSuffix(item.answerVersion, false)}: ${text.replace(/\n(?=.)/g, "\n      ")}`;
+    }
+
+    // " (version 2 of 3)" after an edited prompt or regenerated answer
+    formatVersionSuffix(version, markdown) {
+        if (!version) return "";
+        const label = `version ${version.index} of ${version.count}`;
+        return markdown ? ` _(${label})_` : ` (${label})`;
+    }
+
+    /**
+     * Versions of a turn seen while browsing but not on the page now (see VersionHistory).
+     * Without answers only the other prompts are worth listing, once each.
+     */
+    getExportAlternates(key, item, showAnswers) {
+        const alternates = this.versionHistory.getAlternates(key, item);
+        if (showAnswers) return alternates;
+        const current = (item.promptVersion || { index: 1 }).index;
+        const seen = new Set([current]);
+        return alternates.filter((alt) => !seen.has(alt.prompt.index) && seen.add(alt.prompt.index));
+    }
+
+    formatMarkdownVersions(key, item, showAnswers) {
+        const alternates = this.getExportAlternates(key, item, showAnswers);
+        if (alternates.length === 0) return "";
+        const current = (item.promptVersion || { index: 1 }).index;
+
+        let md = "\n   **Other versions:**\n\n";
+        alternates.forEach((alt) => {
+            if (alt.prompt.index === current) {
+                md += `   - _${this.describeVersion("answer", alt.answer)}_\n`;
+                if (alt.answerMarkdown) md += this.formatMarkdownAnswer({ answerMarkdown: alt.answerMarkdown }, "     ");
+            } else {
+                md += `   - _${this.describeVersion("prompt", alt.prompt)}:_ ${alt.text}\n`;
+                if (showAnswers && alt.answerMarkdown) {
+                    const answerVersion = alt.answer.count > 1 ? alt.answer : null;
+                    md += this.formatMarkdownAnswer({ answerMarkdown: alt.answerMarkdown, answerVersion }, "     ");
+                }
             }
+        });
+        return md;
+    }
 
-            if (answerElement) {
-                answerElement.id = answerId;
+    formatTextVersions(key, item, showAnswers) {
+        const alternates = this.getExportAlternates(key, item, showAnswers);
+        if (alternates.length === 0) return "";
+        const current = (item.promptVersion || { index: 1 }).index;
+        const plain = (markdown) => TOC_MARKDOWN.toPlainText(markdown).replace(/\n(?=.)/g, "\n        ");
+
+        let text = "\n   Other versions:";
+        alternates.forEach((alt) => {
+            if (alt.prompt.index === current) {
+                text += `\n   - ${this.describeVersion("answer", alt.answer)}: ${plain(alt.answerMarkdown)}`;
+            } else {
+                text += `\n   - ${this.describeVersion("prompt", alt.prompt)}: ${alt.text}`;
+                if (showAnswers && alt.answerMarkdown) {
+                    const suffix = this.formatVersionSuffix(alt.answer.count > 1 ? alt.answer : null, false);
+                    text += `\n     A${suffix}: ${plain(alt.answerMarkdown)}`;
+                }
             }
+        });
+        return text;
+    }
+
+    getAttachments(item) {
+        return (item && typeof item !== "string" && item.attachments) || [];
+    }
+
+    // "report.pdf (PDF, 1.2 MB)"
+    describeAttachment(attachment) {
+        const type = attachment.type && (attachment.type === "image" ? "image" : attachment.type.toUpperCase());
+        const details = [type, attachment.size].filter(Boolean);
+        const name = attachment.name || "Attachment";
+        return details.length ? `${name} (${details.join(", ")})` : name;
+    }
+
+    // Attachments as a sub-list of the numbered question
+    formatMarkdownAttachments(item) {
+        return this.getAttachments(item).map((a) => `   - Attachment: ${this.describeAttachment(a)}\n`).join("");
+    }
+
+    formatTextAttachments(item) {
+        const attachments = this.getAttachments(item);
+        if (attachments.length === 0) return "";
+        return `\n   Attachments: ${attachments.map((a) => this.describeAttachment(a)).join(", ")}`;
+    }
+
+    // Scrolls the host page to a turn's prompt, or to its answer when available and asked for
+    // Returns false when the turn is no longer on the page
+    scrollToTurn(key, toAnswer = false) {
+        const turn = this.turns.get(key);
+        if (!turn || typeof turn === "string") return false;
+        const target = (toAnswer && turn.answerElement) || turn.element;
+        if (!target || !target.isConnected) return false;
+        target.scrollIntoView({ behavior: "smooth", block: "start" });
+        return true;
+    }
+
+    /**
+     * Opens the inline note editor of a row. Ctrl/Cmd+Enter saves, Escape cancels;
+     * saving an empty note deletes it.
+     */
+    openNoteEditor(li) {
+        const existing = li.querySelector(".toc-note-editor textarea");
+        if (existing) {
+            existing.focus();
+            return;
+        }
 
-            const listItem = document.createElement("li");
-            listItem.setAttribute("data-toc-num", index + 1);
-            if (questionText.startsWith("[Attachment")) {
-                listItem.classList.add("toc-attachment-item");
+        const key = li.getAttribute("data-toc-key");
+        const note = this.notes.get(key);
+
+        const editor = document.createElement("div");
+        editor.className = "toc-note-editor";
+
+        const input = document.createElement("textarea");
+        input.rows = 3;
+        input.placeholder = "Add a note...";
+        input.value = note ? note.text : "";
+
+        const actions = document.createElement("div");
+        actions.className = "toc-note-actions";
+        const saveBtn = document.createElement("button");
+        saveBtn.className = "toc-note-save";
+        saveBtn.textContent = "Save";
+        const cancelBtn = document.createElement("button");
+        cancelBtn.className = "toc-note-cancel";
+        cancelBtn.textContent = "Cancel";
+        actions.appendChild(cancelBtn);
+        actions.appendChild(saveBtn);
+
+        editor.appendChild(input);
+        editor.appendChild(actions);
+        this.insertRowPart(li, editor);
+        li.classList.add("toc-editing-note");
+        // The row grew: let the virtual list measure it again
+        if (this.virtualList) this.virtualList.render();
+
+        const close = () => {
+            editor.remove();
+            li.classList.remove("toc-editing-note");
+            if (this.virtualList) this.virtualList.render();
+            this.focusTurn(key);
+        };
+        const save = () => {
+            this.setNote(key, input.value);
+            close();
+        };
+
+        saveBtn.addEventListener("click", save);
+        cancelBtn.addEventListener("click", close);
+        input.addEventListener("keydown", (e) => {
+            // Typing must not trigger list navigation or the host page's shortcuts
+            e.stopPropagation();
+            if (e.key === "Escape") {
+                e.preventDefault();
+                close();
+            } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                save();
             }
-            if (answerText) {
-                listItem.setAttribute("data-answer", answerText);
+        });
+
+        input.focus();
+    }
+
+    setNote(key, text) {
+        text = text.trim();
+        if (text) this.notes.set(key, { text, updatedAt: Date.now() });
+        else if (this.notes.has(key)) this.notes.remove(key);
+
+        const row = this.rows.get(key);
+        if (row) this.updateListItem(row, this.turns.get(key), row.state.index);
+        // Notes are searchable: re-apply the filter (which also re-renders the list)
+        if (this.searchManager) this.searchManager.updateSearchResults();
+        else if (this.virtualList) this.virtualList.render();
+    }
+
+    togglePin(key) {
+        if (!key) return;
+        if (this.pins.has(key)) {
+            this.pins.remove(key);
+        } else {
+            const turn = this.turns.get(key);
+            if (!turn) return;
+            // Keep a snapshot of the text so the pin stays readable if the turn disappears
+            const text = typeof turn === "string" ? turn : turn.text;
+            this.pins.set(key, { text, pinnedAt: Date.now() });
+        }
+
+        if (this.isDocked()) {
+            this.publishDockedState();
+            return;
+        }
+
+        const tocContainer = this.getContainer();
+        if (!tocContainer) return;
+        const row = this.rows.get(key);
+        if (row) this.updateListItem(row, this.turns.get(key), row.state.index);
+        this.renderPinned(tocContainer.querySelector(".toc-pinned-section"));
+    }
+
+    /**
+     * Renders the "Pinned" section: pins of turns on the page in conversation
+     * order, followed by pins whose turn can't be found anymore.
+     */
+    renderPinned(section) {
+        if (!section) return;
+        section.textContent = "";
+
+        const pins = this.pins.entries();
+        section.style.display = pins.length ? "" : "none";
+        if (!pins.length) return;
+
+        const position = (key) => (this.turnIndexes.has(key) ? this.turnIndexes.get(key) : Infinity);
+        pins.sort(([a, pa], [b, pb]) => (position(a) - position(b)) || (pa.pinnedAt - pb.pinnedAt));
+
+        const title = document.createElement("div");
+        title.className = "toc-pinned-title";
+        title.textContent = `Pinned (${pins.length})`;
+        section.appendChild(title);
+
+        pins.forEach(([key, pin]) => {
+            const found = this.turns.has(key);
+            const item = document.createElement("div");
+            item.className = "toc-pinned-item";
+            item.classList.toggle("toc-pinned-stale", !found);
+            item.setAttribute("data-toc-key", key);
+
+            const link = document.createElement("a");
+            link.href = "#";
+            link.textContent = this.truncate(pin.text);
+            link.title = found ? pin.text : `${pin.text}\n(not found on this page)`;
+            if (found) link.setAttribute("data-num", position(key) + 1);
+
+            const unpin = document.createElement("button");
+            unpin.className = "toc-unpin-btn";
+            unpin.title = "Unpin";
+
+            item.appendChild(link);
+            item.appendChild(unpin);
+            section.appendChild(item);
+        });
+    }
+
+    /**
+     * Takes the latest turns from the monitor. Search and the virtual list work on
+     * this data; only the rows in view exist in the DOM.
+     */
+    setTurns(questions) {
+        const keys = this.getTurnKeys(questions);
+        this.turns.clear();
+        this.turnIndexes.clear();
+        questions.forEach((item, index) => {
+            this.turns.set(keys[index], item);
+            this.turnIndexes.set(keys[index], index);
+        });
+        this.versionHistory.record(keys, questions);
+        if (this.themeManager.settings.archive) this.archiver.schedule(this.turns);
+
+        if (this.searchManager) this.searchManager.setKeys(keys);
+        else this.applyFilter(null);
+    }
+
+    // Search results (or null for "no search") -> rows shown in the list, in result order
+    applyFilter(results) {
+        this.searchMatches = new Map((results || []).map((match) => [match.key, match]));
+        this.filteredKeys = results ? results.map((match) => match.key) : Array.from(this.turns.keys());
+        if (this.virtualList) this.virtualList.setKeys(this.filteredKeys);
+
+        if (!results || results.length === 0) {
+            this.pageHighlighter.clear();
+        } else {
+            const current = this.searchManager && this.searchManager.getCurrentMatch();
+            if (current && current.target) this.pageHighlighter.setCurrent(current.target);
+        }
+    }
+
+    /**
+     * SearchManager callback: finds the matches inside the host page's question and
+     * answer elements, highlights them and returns them in turn order, so next/previous
+     * walks through the page occurrence by occurrence. Turns that only match in their
+     * note (or past the highlight limit) contribute a single turn-level occurrence.
+     */
+    getPageOccurrences(results, matcher, scope) {
+        const { MAX_PAGE_HIGHLIGHTS } = window.TOC.CONSTANTS.CONSTRAINTS;
+        const fields = scope ? [scope] : ["question", "answer"];
+        const occurrences = [];
+        const ranges = [];
+
+        results.forEach((match) => {
+            const turn = this.turns.get(match.key);
+            const found = [];
+            if (matcher && ranges.length < MAX_PAGE_HIGHLIGHTS && turn && typeof turn !== "string") {
+                fields.forEach((field) => {
+                    const element = field === "question" ? turn.element : field === "answer" ? turn.answerElement : null;
+                    if (!element || !element.isConnected) return;
+                    window.TOC.PageHighlighter.findRanges(element, matcher).forEach((range) => {
+                        found.push({ key: match.key, field, rangeIndex: ranges.length });
+                        ranges.push(range);
+                    });
+                });
             }
+            occurrences.push(...(found.length ? found : [match]));
+        });
+
+        const targets = this.pageHighlighter.highlight(ranges);
+        occurrences.forEach((occurrence) => {
+            if (occurrence.rangeIndex !== undefined) occurrence.target = targets[occurrence.rangeIndex];
+        });
+        return occurrences;
+    }
+
+    getSearchFields(key) {
+        const item = this.turns.get(key);
+        const note = this.notes.get(key);
+        return {
+            question: typeof item === "string" ? item : item.text,
+            answer: (typeof item !== "string" && item.answer) || "",
+            note: note ? note.text : "",
+            file: this.getAttachments(item).map((a) => a.name).filter(Boolean).join(", ")
+        };
+    }
+
+    // While searching, a click on a result jumps to its match rather than the turn's top
+    goToSearchResult(key, field) {
+        return !!this.searchManager && this.searchMatches.has(key) && this.searchManager.goTo(key, field);
+    }
+
+    // Next/previous search match: bring it into view on the page and in the list
+    goToSearchMatch(match) {
+        this.rows.forEach((row, key) => row.li.classList.toggle("toc-search-current", key === match.key));
+        this.pageHighlighter.setCurrent(match.target);
+        if (!match.target || !this.pageHighlighter.scrollTo(match.target)) {
+            this.scrollToTurn(match.key, match.field === "answer");
+        }
+        if (this.virtualList) this.virtualList.scrollToIndex(this.virtualList.indexOf(match.key));
+    }
+
+    /**
+     * Appends text to a parent with the match ranges wrapped in <mark>.
+     * Only the slice [from, to) of the text is rendered.
+     */
+    appendHighlighted(parent, text, ranges, from = 0, to = text.length) {
+        let cursor = from;
+        ranges.forEach(([start, end]) => {
+            start = Math.max(start, from);
+            end = Math.min(end, to);
+            if (start >= end || start < cursor) return;
+            parent.appendChild(document.createTextNode(text.substring(cursor, start)));
+            const mark = document.createElement("mark");
+            mark.textContent = text.substring(start, end);
+            parent.appendChild(mark);
+            cursor = end;
+        });
+        parent.appendChild(document.createTextNode(text.substring(cursor, to)));
+    }
+
+    // Fragment of a long answer or note around the first match
+    renderSearchSnippet(container, match, text) {
+        const { SNIPPET_CONTEXT, SNIPPET_LENGTH } = window.TOC.CONSTANTS.CONSTRAINTS;
+        const first = match.ranges[0];
+        const from = Math.max(0, first[0] - SNIPPET_CONTEXT);
+        const to = Math.min(text.length, from + SNIPPET_LENGTH);
+
+        container.textContent = "";
+        const label = document.createElement("span");
+        label.className = "toc-search-snippet-label";
+        label.textContent = { question: "Q", answer: "A", note: "Note", file: "File" }[match.field];
+        container.appendChild(label);
+
+        if (from > 0) container.appendChild(document.createTextNode("…"));
+        this.appendHighlighted(container, text, match.ranges, from, to);
+        if (to < text.length) container.appendChild(document.createTextNode("…"));
+    }
+
+    // VirtualList callback: the <li> of a turn in the window, created or brought up to date
+    renderRow(key) {
+        let row = this.rows.get(key);
+        if (!row) {
+            row = { li: document.createElement("li"), state: {} };
+            row.li.setAttribute("data-toc-key", key);
+            this.rows.set(key, row);
+        }
+        this.updateListItem(row, this.turns.get(key), this.turnIndexes.get(key));
+        return row.li;
+    }
+
+    // Brings one row up to date, touching only the parts whose data changed
+    updateListItem(row, item, index) {
+        const showAnswers = !!this.themeManager.settings.showAnswers;
+        const showOutline = !!this.themeManager.settings.showOutline;
+        const li = row.li;
+        const prev = row.state;
 
+        const questionText = typeof item === "string" ? item : item.text;
+        const answerText = (typeof item !== "string" && item.answer) ? item.answer : "";
+
+        const key = li.getAttribute("data-toc-key");
+        const pinned = this.pins.has(key);
+        const note = this.notes.get(key);
+        const noteText = note ? note.text : "";
+
+        const maxLength = this.maxQueryLength;
+
+        const match = this.searchMatches.get(key) || null;
+        const matchSignature = match ? `${match.field}:${match.ranges.join(";")}` : "";
+        const currentMatch = this.searchManager && this.searchManager.getCurrentMatch();
+
+        // Outline of the answer's headings; its signature changes as a streaming answer grows sections
+        const outline = showOutline && typeof item !== "string" ? item.answerOutline || [] : [];
+        const outlineExpanded = this.expandedOutlines.has(key);
+        const outlineSignature = outline.length
+            ? `${outlineExpanded}|${outline.map((heading) => `${heading.depth}:${heading.text}`).join("\n")}`
+            : "";
+
+        const attachments = this.getAttachments(item);
+        const attachmentOnly = typeof item !== "string" && !!item.attachmentOnly;
+        const attachmentSignature = attachments.map((a) => `${a.name}|${a.type}|${a.size}|${a.thumbnail}`).join("\n");
+        const promptVersion = typeof item !== "string" ? item.promptVersion : null;
+        const answerVersion = typeof item !== "string" ? item.answerVersion : null;
+        const versionSignature = [promptVersion, answerVersion].map((v) => (v ? `${v.index}/${v.count}` : "")).join("|");
+        const status = (typeof item !== "string" && item.status) || "complete";
+
+        const next = {
+            questionText, answerText, index, showAnswers, pinned, noteText, maxLength,
+            matchSignature, outlineSignature, attachmentSignature, versionSignature, status
+        };
+
+        if (!li.firstChild) {
             const link = document.createElement("a");
-            link.href = `#${questionId}`;
-            link.setAttribute("data-num", index + 1);
-            link.textContent = shortText;
-            link.title = questionText;
+            link.href = "#";
 
             const questionRow = document.createElement("div");
             questionRow.className = "toc-question-row";
             questionRow.appendChild(link);
 
-            // Copy button (stores text in data attribute for delegation)
+            // Copy button: the list's click handler copies the turn's question
             const copyBtn = document.createElement("button");
             copyBtn.className = "toc-copy-btn";
             copyBtn.title = "Copy query";
-            copyBtn.setAttribute("data-text", questionText);
-            
+
+            const pinBtn = document.createElement("button");
+            pinBtn.className = "toc-pin-btn";
+
+            const noteBtn = document.createElement("button");
+            noteBtn.className = "toc-note-btn";
+
+            questionRow.appendChild(noteBtn);
+            questionRow.appendChild(pinBtn);
             questionRow.appendChild(copyBtn);
-            listItem.appendChild(questionRow);
+            li.appendChild(questionRow);
+        }
+
+        li.classList.toggle("toc-active", key === this.activeKey);
+        li.classList.toggle("toc-search-current", !!currentMatch && currentMatch.key === key);
+
+        if (prev.pinned !== pinned) {
+            li.classList.toggle("toc-pinned", pinned);
+            li.querySelector(".toc-pin-btn").title = pinned ? "Unpin" : "Pin";
+        }
+
+        const link = li.querySelector(".toc-question-row a");
+
+        if (prev.index !== index) {
+            li.setAttribute("data-toc-num", index + 1);
+            link.setAttribute("data-num", index + 1);
+        }
+
+        if (prev.questionText !== questionText || prev.maxLength !== maxLength || prev.matchSignature !== matchSignature) {
+            link.textContent = "";
+            if (match && match.field === "question") {
+                const visible = questionText.length > maxLength ? maxLength - 3 : questionText.length;
+                this.appendHighlighted(link, questionText, match.ranges, 0, visible);
+                if (visible < questionText.length) link.appendChild(document.createTextNode(window.TOC.CONSTANTS.CONSTRAINTS.TRUNCATE_SUFFIX));
+            } else {
+                link.textContent = this.truncate(questionText);
+            }
+            link.title = questionText;
+            li.classList.toggle("toc-attachment-item", attachmentOnly);
+
+            // Matches in the answer, the note or past the truncated question get a snippet line
+            const snippetText = !match ? ""
+                : match.field === "answer" ? answerText
+                : match.field === "note" ? noteText
+                : match.field === "file" ? this.getSearchFields(key).file
+                : match.ranges[0][0] >= maxLength - 3 ? questionText : "";
+            let snippet = li.querySelector(".toc-search-snippet");
+            if (!snippetText) {
+                if (snippet) snippet.remove();
+            } else {
+                if (!snippet) {
+                    snippet = document.createElement("div");
+                    snippet.className = "toc-search-snippet";
+                    this.insertRowPart(li, snippet);
+                }
+                this.renderSearchSnippet(snippet, match, snippetText);
+            }
+        }
+
+        if (prev.status !== status) {
+            this.renderStatus(li, status);
+        }
+
+        if (prev.versionSignature !== versionSignature) {
+            this.renderVersions(li, promptVersion, answerVersion);
+        }
+
+        if (prev.attachmentSignature !== attachmentSignature) {
+            this.renderAttachments(li, attachments);
+        }
+
+        if (prev.noteText !== noteText || prev.maxLength !== maxLength) {
+            li.classList.toggle("toc-has-note", !!noteText);
+            li.querySelector(".toc-note-btn").title = noteText ? "Edit note" : "Add note";
+
+            let noteRow = li.querySelector(".toc-note-row");
+            if (!noteText) {
+                if (noteRow) noteRow.remove();
+            } else {
+                if (!noteRow) {
+                    noteRow = document.createElement("div");
+                    noteRow.className = "toc-note-row";
+                    noteRow.title = "Edit note";
+                    this.insertRowPart(li, noteRow);
+                }
+                noteRow.textContent = this.truncate(noteText);
+            }
+        }
 
-            if (showAnswers && answerText) {
-                const answerRow = document.createElement("div");
+        const wantsAnswerRow = showAnswers && !!answerText;
+        let answerRow = li.querySelector(".toc-answer-row");
+        if (!wantsAnswerRow) {
+            if (answerRow) answerRow.remove();
+        } else {
+            if (!answerRow) {
+                answerRow = document.createElement("div");
                 answerRow.className = "toc-answer-row";
 
                 const answerContent = document.createElement("div");
@@ -966,36 +3347,256 @@ window.TOC.UI = class UI {
 
                 const answerSpan = document.createElement("span");
                 answerSpan.className = "toc-answer-text";
-                const shortAnswer = answerText.length > CONSTANTS.CONSTRAINTS.MAX_QUERY_LENGTH
-                    ? answerText.substring(0, CONSTANTS.CONSTRAINTS.MAX_QUERY_LENGTH - 3) + CONSTANTS.CONSTRAINTS.TRUNCATE_SUFFIX
-                    : answerText;
-                answerSpan.textContent = shortAnswer;
-                answerSpan.title = answerText.substring(0, 500);
 
                 answerContent.appendChild(badge);
                 answerContent.appendChild(answerSpan);
-                answerContent.setAttribute("data-nav-id", answerElement ? answerId : questionId);
 
-                // Answer copy button (stores text in data attribute for delegation)
+                // Answer copy button: the list's click handler copies the turn's answer
                 const answerCopyBtn = document.createElement("button");
                 answerCopyBtn.className = "toc-answer-copy";
                 answerCopyBtn.title = "Copy answer";
-                answerCopyBtn.setAttribute("data-text", answerText);
 
                 answerRow.appendChild(answerContent);
                 answerRow.appendChild(answerCopyBtn);
-                listItem.appendChild(answerRow);
+                this.insertRowPart(li, answerRow);
+                prev.answerText = undefined;
+            }
+
+            if (prev.answerText !== answerText || prev.maxLength !== maxLength) {
+                const preview = this.getAnswerPreview(item);
+                const answerSpan = answerRow.querySelector(".toc-answer-text");
+                answerSpan.textContent = this.truncate(preview);
+                answerSpan.title = preview.substring(0, 500);
+            }
+        }
+
+        if (prev.outlineSignature !== outlineSignature) {
+            this.renderOutline(li, outline, outlineExpanded);
+        }
+
+        row.state = next;
+    }
+
+    /**
+     * Generation status line of a row: a spinner while the answer is pending or streaming,
+     * a marker for failed and stopped generations, nothing once complete.
+     */
+    renderStatus(li, status) {
+        ["pending", "streaming", "error", "stopped"].forEach((name) => {
+            li.classList.toggle(`toc-status-${name}`, status === name);
+        });
+
+        let line = li.querySelector(".toc-status");
+        const label = this.describeStatus(status);
+        if (!label) {
+            if (line) line.remove();
+            return;
+        }
+        if (!line) {
+            line = document.createElement("div");
+            line.className = "toc-status";
+            this.insertRowPart(li, line);
+        }
+        line.setAttribute("data-status", status);
+        line.textContent = label;
+    }
+
+    describeStatus(status) {
+        return {
+            pending: "Waiting for answer…",
+            streaming: "Generating…",
+            error: "Generation failed",
+            stopped: "Stopped",
+        }[status] || "";
+    }
+
+    // Inserts an optional line of a row at its place in ROW_PARTS
+    insertRowPart(li, element) {
+        const parts = window.TOC.CONSTANTS.ROW_PARTS;
+        const rank = parts.indexOf(element.classList[0]);
+        const next = Array.from(li.children).find((child) => parts.indexOf(child.classList[0]) > rank);
+        li.insertBefore(element, next || null);
+    }
+
+    /**
+     * "2/3" badges below the question for an edited prompt and a regenerated answer,
+     * mirroring the site's version switchers.
+     */
+    renderVersions(li, promptVersion, answerVersion) {
+        let container = li.querySelector(".toc-versions");
+        if (!promptVersion && !answerVersion) {
+            if (container) container.remove();
+            return;
+        }
+        if (!container) {
+            container = document.createElement("div");
+            container.className = "toc-versions";
+            this.insertRowPart(li, container);
+        }
+        container.textContent = "";
+
+        [["prompt", promptVersion], ["answer", answerVersion]].forEach(([kind, version]) => {
+            if (!version) return;
+            const badge = document.createElement("span");
+            badge.className = "toc-version";
+            badge.setAttribute("data-kind", kind);
+            badge.textContent = `${version.index}/${version.count}`;
+            badge.title = this.describeVersion(kind, version);
+            container.appendChild(badge);
+        });
+    }
+
+    // "Prompt version 2 of 3"
+    describeVersion(kind, version) {
+        return `${kind === "prompt" ? "Prompt" : "Answer"} version ${version.index} of ${version.count}`;
+    }
+
+    /**
+     * File chips of a row, below the question and its version badges: the thumbnail when the page has one,
+     * else a type badge, then the name and size when the page shows them.
+     */
+    renderAttachments(li, attachments) {
+        let container = li.querySelector(".toc-attachments");
+        if (attachments.length === 0) {
+            if (container) container.remove();
+            return;
+        }
+        if (!container) {
+            container = document.createElement("div");
+            container.className = "toc-attachments";
+            this.insertRowPart(li, container);
+        }
+        container.textContent = "";
+
+        attachments.forEach((attachment) => {
+            const chip = document.createElement("span");
+            chip.className = "toc-attachment-chip";
+            chip.title = this.describeAttachment(attachment);
+
+            if (attachment.thumbnail) {
+                const thumb = document.createElement("img");
+                thumb.className = "toc-attachment-thumb";
+                thumb.src = attachment.thumbnail;
+                thumb.alt = "";
+                thumb.loading = "lazy";
+                chip.appendChild(thumb);
+            } else {
+                const badge = document.createElement("span");
+                badge.className = "toc-attachment-type";
+                badge.textContent = attachment.type ? attachment.type.toUpperCase() : "FILE";
+                chip.appendChild(badge);
+            }
+
+            if (attachment.name) {
+                const name = document.createElement("span");
+                name.className = "toc-attachment-name";
+                name.textContent = attachment.name;
+                chip.appendChild(name);
+            }
+            if (attachment.size) {
+                const size = document.createElement("span");
+                size.className = "toc-attachment-size";
+                size.textContent = attachment.size;
+                chip.appendChild(size);
             }
-            tocList.appendChild(listItem);
-            listItems.push(listItem);
+            container.appendChild(chip);
+        });
+    }
+
+    /**
+     * The "N sections" toggle of a row and, when expanded, one link per heading of
+     * the answer, indented by heading depth. Sits between the question and the answer preview.
+     */
+    renderOutline(li, outline, expanded) {
+        let container = li.querySelector(".toc-outline");
+        if (outline.length === 0) {
+            if (container) container.remove();
+            return;
+        }
+        if (!container) {
+            container = document.createElement("div");
+            container.className = "toc-outline";
+            this.insertRowPart(li, container);
+        }
+        container.textContent = "";
+
+        const toggle = document.createElement("button");
+        toggle.className = "toc-outline-toggle";
+        toggle.setAttribute("aria-expanded", String(expanded));
+        toggle.textContent = `${outline.length} ${outline.length === 1 ? "section" : "sections"}`;
+        container.appendChild(toggle);
+
+        if (!expanded) return;
+        outline.forEach((heading, i) => {
+            const link = document.createElement("a");
+            link.href = "#";
+            link.className = "toc-outline-item";
+            link.setAttribute("data-outline-index", i);
+            link.style.setProperty("--toc-outline-depth", heading.depth);
+            link.textContent = heading.text;
+            link.title = heading.text;
+            container.appendChild(link);
         });
+    }
+
+    toggleOutline(key) {
+        if (this.expandedOutlines.has(key)) this.expandedOutlines.delete(key);
+        else this.expandedOutlines.add(key);
+
+        if (this.rows.has(key)) this.renderRow(key);
+        // The row changed height: let the virtual list measure it again
+        if (this.virtualList) this.virtualList.render();
+    }
+
+    scrollToOutlineItem(key, index) {
+        const turn = this.turns.get(key);
+        const heading = turn && typeof turn !== "string" && (turn.answerOutline || [])[index];
+        if (!heading || !heading.element.isConnected) return;
+        heading.element.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+
+    truncate(text) {
+        const { TRUNCATE_SUFFIX } = window.TOC.CONSTANTS.CONSTRAINTS;
+        const maxLength = this.maxQueryLength;
+        return text.length > maxLength
+            ? text.substring(0, maxLength - 3) + TRUNCATE_SUFFIX
+            : text;
+    }
+
+    /**
+     * Estimates how many characters fit in TRUNCATE_LINES lines of a question link
+     * at the panel's current width and density.
+     */
+    measureMaxQueryLength(tocContainer) {
+        const { MIN_QUERY_LENGTH, TRUNCATE_LINES } = window.TOC.CONSTANTS.CONSTRAINTS;
+        const link = tocContainer.querySelector("li .toc-question-row a");
+        if (!link || !link.clientWidth) return this.maxQueryLength;
+
+        const style = getComputedStyle(link);
+        const numberWidth = parseFloat(getComputedStyle(link, "::before").width) || 22;
+        const gap = parseFloat(style.columnGap) || 0;
+        const textWidth = link.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight) - numberWidth - gap;
+        // Average glyph width of proportional UI fonts is a bit over half the font size
+        const charWidth = parseFloat(style.fontSize) * 0.55;
+
+        return Math.max(MIN_QUERY_LENGTH, Math.floor(textWidth / charWidth) * TRUNCATE_LINES);
+    }
+
+    // Re-truncates every row after the panel width or density changed
+    updateTruncation(tocContainer) {
+        const maxLength = this.measureMaxQueryLength(tocContainer);
+        if (maxLength === this.maxQueryLength) return;
 
-        return listItems;
+        this.maxQueryLength = maxLength;
+        this.rows.forEach((row, key) => this.updateListItem(row, this.turns.get(key), row.state.index));
+        this.renderPinned(tocContainer.querySelector(".toc-pinned-section"));
+        if (this.virtualList) this.virtualList.invalidateHeights();
     }
 
     setupTOCFunctionality(tocContainer) {
         this.setupSearchFunctionality(tocContainer);
         this.setupDragFunctionality(tocContainer);
+        this.setupResizeFunctionality(tocContainer);
         this.restoreCollapsedState(tocContainer);
     }
 
@@ -1010,19 +3611,37 @@ window.TOC.UI = class UI {
         const CONSTANTS = window.TOC.CONSTANTS;
         const searchInput = tocContainer.querySelector(`#${CONSTANTS.IDS.SEARCH_INPUT}`);
         const searchClear = tocContainer.querySelector(`#${CONSTANTS.IDS.SEARCH_CLEAR}`);
-        const listItems = Array.from(tocContainer.querySelectorAll("li"));
 
-        this.searchManager = new window.TOC.SearchManager(searchInput, searchClear);
-        this.searchManager.addListItems(listItems);
+        this.searchManager = new window.TOC.SearchManager(searchInput, searchClear, {
+            getSearchFields: (key) => this.getSearchFields(key),
+            onResults: (results) => this.applyFilter(results),
+            onNavigate: (match) => this.goToSearchMatch(match),
+            getOccurrences: (results, matcher, scope) => this.getPageOccurrences(results, matcher, scope),
+        });
+        this.searchManager.setKeys(Array.from(this.turns.keys()));
     }
 
     setupDragFunctionality(tocContainer) {
         this.dragManager = new window.TOC.DragManager(tocContainer, this.positionManager);
     }
 
+    setupResizeFunctionality(tocContainer) {
+        this.resizeManager = new window.TOC.ResizeManager(tocContainer, this.positionManager, () => {
+            this.updateTruncation(tocContainer);
+            // Rows wrap differently at the new width
+            if (this.virtualList) this.virtualList.invalidateHeights();
+        });
+    }
+
     applyInitialPosition(tocContainer) {
         // Need to wait a frame for the element to have dimensions
         requestAnimationFrame(() => {
+            const savedSize = this.positionManager.getSavedSize();
+            if (savedSize) {
+                const size = this.positionManager.constrainSize(savedSize.width, savedSize.height);
+                this.positionManager.applySize(tocContainer, size.width, size.height);
+            }
+
             const savedPosition = this.positionManager.getSavedPosition();
             const width = tocContainer.offsetWidth || 300;
             const height = tocContainer.offsetHeight || 400;
@@ -1047,13 +3666,21 @@ window.TOC.UI = class UI {
 
             this.positionManager.applyPosition(tocContainer, x, y);
             this.positionManager.savePosition(x, y);
+            this.updateTruncation(tocContainer);
         });
     }
 
     handleWindowResize() {
-        const tocContainer = document.getElementById(window.TOC.CONSTANTS.IDS.TOC_CONTAINER);
+        const tocContainer = this.getContainer();
         if (!tocContainer) return;
 
+        // Shrink a stored size that no longer fits (the stored value is kept for larger windows)
+        const savedSize = this.positionManager.getSavedSize();
+        if (savedSize) {
+            const size = this.positionManager.constrainSize(savedSize.width, savedSize.height);
+            this.positionManager.applySize(tocContainer, size.width, size.height);
+        }
+
         const rect = tocContainer.getBoundingClientRect();
         const constrained = this.positionManager.constrainToViewport(
             rect.left,
@@ -1067,24 +3694,6 @@ window.TOC.UI = class UI {
             this.positionManager.savePosition(constrained.x, constrained.y);
         }
     }
-
-    handleDocumentClick(event) {
-        const sendButton = this.config.selectors.sendButton;
-        if (sendButton && event.target.closest(sendButton)) {
-            this.debouncedCreateTOC();
-        }
-    }
-
-    handleKeyDown(event) {
-        const promptInput = this.config.selectors.promptInput;
-        if (
-            event.key === "Enter" &&
-            promptInput &&
-            document.activeElement.matches(promptInput)
-        ) {
-            this.debouncedCreateTOC();
-        }
-    }
 };
 
 console.log("[TOC] UI module loaded");
@@ -0,0 +1,275 @@
+/**
+ * AI Chat TOC - Conversation Viewer
+ * Opens a JSON export (see transcript.js) read-only: the table of contents on the
+ * side, the full transcript with rendered answers next to it.
+ */
+
+const api = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome : browser;
+
+const fileInput = document.getElementById("viewer-file");
+const dropZone = document.getElementById("viewer-drop");
+const errorList = document.getElementById("viewer-errors");
+const layout = document.getElementById("viewer-layout");
+const meta = document.getElementById("viewer-meta");
+const filterInput = document.getElementById("viewer-filter");
+const tocList = document.getElementById("viewer-toc-list");
+const transcriptView = document.getElementById("viewer-transcript");
+
+let settings = { ...DEFAULT_SETTINGS };
+let transcript = null;
+let spy = null;
+
+// =============================================================================
+// Settings & theme
+// =============================================================================
+
+function loadSettings() {
+    return new Promise((resolve) => {
+        api.storage.local.get(DEFAULT_SETTINGS, (items) => {
+            settings = { ...settings, ...items };
+            resolve(settings);
+        });
+    });
+}
+
+// Accent of the site the conversation comes from
+function applyTheme() {
+    const platformKey = transcript ? transcript.platform : null;
+    const themeId = (settings.themes && settings.themes[platformKey]) || DEFAULT_THEMES[platformKey] || "emerald";
+    const themeConfig = THEMES[themeId] || THEMES.emerald;
+
+    let isDark = settings.themeMode === "dark";
+    if (settings.themeMode === "system") isDark = window.matchMedia("(prefers-color-scheme: dark)").matches;
+
+    const colors = isDark ? themeConfig.dark : themeConfig.light;
+    document.body.style.setProperty("--vw-accent", colors.accent);
+    document.body.style.setProperty("--vw-accent-bg", colors.accentLight);
+    document.body.classList.toggle("dark-mode", isDark);
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+function truncate(text, max = 100) {
+    return text.length > max ? text.substring(0, max - 3) + "..." : text;
+}
+
+function element(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+function createVersionBadge(kind, version) {
+    const badge = element("span", "viewer-version", `${version.index}/${version.count}`);
+    badge.setAttribute("data-kind", kind);
+    badge.title = `${kind === "prompt" ? "Prompt" : "Answer"} version ${version.index} of ${version.count}`;
+    return badge;
+}
+
+function createAnswer(answer) {
+    const body = element("div", "viewer-answer");
+    body.innerHTML = TOC_MARKDOWN.toHTML(answer.markdown);
+    return body;
+}
+
+function renderMeta() {
+    meta.textContent = "";
+    const conversation = transcript.conversation;
+
+    meta.appendChild(element("span", "viewer-site", transcript.site));
+    meta.appendChild(element("h2", "viewer-title", TOC_TRANSCRIPT.getTitle(transcript)));
+
+    const details = element("div", "viewer-details",
+        `${transcript.turns.length} turns · exported ${new Date(transcript.exportedAt).toLocaleString()}`);
+    meta.appendChild(details);
+
+    if (/^https?:/i.test(conversation.url || "")) {
+        const link = element("a", "viewer-source", "Open original chat");
+        link.href = conversation.url;
+        link.target = "_blank";
+        link.rel = "noopener";
+        meta.appendChild(link);
+    }
+}
+
+function createTOCItem(turn, index) {
+    const li = document.createElement("li");
+    li.setAttribute("data-index", index);
+    li.classList.toggle("viewer-pinned", !!turn.pinned);
+    li.classList.toggle("viewer-has-note", !!turn.note);
+
+    const link = element("a", null, truncate(turn.question.text));
+    link.href = `#turn-${index + 1}`;
+    link.setAttribute("data-num", index + 1);
+    link.title = turn.question.text;
+    li.appendChild(link);
+    return li;
+}
+
+function createTurn(turn, index) {
+    const article = element("article", "viewer-turn");
+    article.id = `turn-${index + 1}`;
+    article.setAttribute("data-index", index);
+
+    const question = element("header", "viewer-question");
+    question.appendChild(element("span", "viewer-turn-number", String(index + 1)));
+    question.appendChild(element("div", "viewer-question-text", turn.question.text));
+    if (turn.question.version) question.appendChild(createVersionBadge("prompt", turn.question.version));
+    article.appendChild(question);
+
+    const attachments = turn.question.attachments || [];
+    if (attachments.length) {
+        const list = element("ul", "viewer-attachments");
+        attachments.forEach((a) => list.appendChild(element("li", null, TOC_TRANSCRIPT.describeAttachment(a))));
+        article.appendChild(list);
+    }
+
+    if (turn.note) article.appendChild(element("aside", "viewer-note", turn.note));
+
+    if (turn.answer) {
+        const heading = element("div", "viewer-answer-label", "Answer");
+        if (turn.answer.version) heading.appendChild(createVersionBadge("answer", turn.answer.version));
+        article.appendChild(heading);
+        article.appendChild(createAnswer(turn.answer));
+    }
+    const status = TOC_TRANSCRIPT.getStatusLabel(turn);
+    if (status) {
+        const line = element("div", "viewer-status", status);
+        line.setAttribute("data-status", turn.answer ? turn.answer.status : "pending");
+        article.appendChild(line);
+    }
+
+    const alternates = turn.alternates || [];
+    if (alternates.length) {
+        const details = element("details", "viewer-alternates");
+        details.appendChild(element("summary", null, `Other versions (${alternates.length})`));
+        alternates.forEach((alt) => {
+            const block = element("section", "viewer-alternate");
+            const label = element("div", "viewer-question-text", alt.question.text);
+            if (alt.question.version) label.appendChild(createVersionBadge("prompt", alt.question.version));
+            block.appendChild(label);
+            if (alt.answer) {
+                if (alt.answer.version) block.appendChild(createVersionBadge("answer", alt.answer.version));
+                block.appendChild(createAnswer(alt.answer));
+            }
+            details.appendChild(block);
+        });
+        article.appendChild(details);
+    }
+
+    return article;
+}
+
+function render(data) {
+    transcript = data;
+    applyTheme();
+    document.title = `${transcript.site} - AI Chat TOC Viewer`;
+
+    dropZone.hidden = true;
+    layout.hidden = false;
+    filterInput.value = "";
+    renderMeta();
+
+    tocList.textContent = "";
+    transcriptView.textContent = "";
+    const items = document.createDocumentFragment();
+    const turns = document.createDocumentFragment();
+    transcript.turns.forEach((turn, index) => {
+        items.appendChild(createTOCItem(turn, index));
+        turns.appendChild(createTurn(turn, index));
+    });
+    tocList.appendChild(items);
+    transcriptView.appendChild(turns);
+    transcriptView.scrollTop = 0;
+
+    observeTurns();
+}
+
+function showErrors(name, errors) {
+    dropZone.hidden = false;
+    layout.hidden = true;
+    errorList.textContent = "";
+    errorList.appendChild(element("li", "viewer-errors-title", `${name} could not be opened:`));
+    errors.slice(0, 10).forEach((error) => errorList.appendChild(element("li", null, error)));
+}
+
+// Marks the TOC entry of the turn at the top of the transcript
+function observeTurns() {
+    if (spy) spy.disconnect();
+    if (typeof IntersectionObserver === "undefined") return;
+
+    spy = new IntersectionObserver((entries) => {
+        const visible = entries.filter((entry) => entry.isIntersecting);
+        if (visible.length === 0) return;
+        const index = visible[0].target.getAttribute("data-index");
+        tocList.querySelectorAll("li.viewer-active").forEach((li) => li.classList.remove("viewer-active"));
+        const li = tocList.querySelector(`li[data-index="${index}"]`);
+        if (li) {
+            li.classList.add("viewer-active");
+            li.scrollIntoView({ block: "nearest" });
+        }
+    }, { root: transcriptView, rootMargin: "0px 0px -70% 0px" });
+
+    transcriptView.querySelectorAll(".viewer-turn").forEach((article) => spy.observe(article));
+}
+
+function filter() {
+    const term = filterInput.value.toLowerCase().trim();
+    if (!transcript) return;
+    transcript.turns.forEach((turn, index) => {
+        const haystack = [
+            turn.question.text,
+            turn.answer ? turn.answer.text || turn.answer.markdown : "",
+            turn.note || "",
+            ...(turn.question.attachments || []).map((a) => a.name || ""),
+        ].join("\n").toLowerCase();
+        tocList.children[index].style.display = term === "" || haystack.includes(term) ? "" : "none";
+    });
+}
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+function openFile(file) {
+    if (!file) return;
+    file.text()
+        .then((text) => {
+            const { transcript: data, errors } = TOC_TRANSCRIPT.parse(text);
+            if (data) render(data);
+            else showErrors(file.name, errors);
+        })
+        .catch((e) => {
+            console.debug("[TOC] Viewer", e);
+            showErrors(file.name, [e.message || "The file could not be read"]);
+        });
+}
+
+fileInput.addEventListener("change", () => {
+    openFile(fileInput.files[0]);
+    fileInput.value = "";
+});
+
+document.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    document.body.classList.add("viewer-dragging");
+});
+document.addEventListener("dragleave", (e) => {
+    if (!e.relatedTarget) document.body.classList.remove("viewer-dragging");
+});
+document.addEventListener("drop", (e) => {
+    e.preventDefault();
+    document.body.classList.remove("viewer-dragging");
+    openFile(e.dataTransfer.files[0]);
+});
+
+filterInput.addEventListener("input", filter);
+
+api.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && ("themeMode" in changes || "themes" in changes)) loadSettings().then(applyTheme);
+});
+
+loadSettings().then(applyTheme);